@@ -84,7 +84,7 @@
         </div>
         <div class="variables-info">
             Ejemplo 3: fontSize=30, containerPadding=0, letterPadX=15, letterPadY=15, colores secuenciales arcoíris,
-            espacios transparentes, fondo transparente
+            espacios transparentes, fondo transparente, color de texto automático (autoTextColor)
         </div>
     </div>
 
@@ -100,58 +100,14 @@
         </div>
     </div>
 
-    <script>
-        const alfabeto = "abcdefghijklmnopqrstuvwxyz1234567890".split("");
-
-        // Función para generar colores tipo arcoíris
-        function generateRainbowColors(steps) {
-            const rainbowColors = [];
-            for (let i = 0; i < steps; i++) {
-                const hue = (i / steps) * 360;
-                rainbowColors.push(`hsl(${hue}, 100%, 50%)`);
-            }
-            return rainbowColors;
-        }
-
-        // Función para generar colores aleatorios
-        function generateRandomColors(steps) {
-            const randomColors = [];
-            for (let i = 0; i < steps; i++) {
-                const r = Math.floor(Math.random() * 256);
-                const g = Math.floor(Math.random() * 256);
-                const b = Math.floor(Math.random() * 256);
-                randomColors.push(`rgb(${r}, ${g}, ${b})`);
-            }
-            return randomColors;
-        }
-
-        // Asignar colores arcoíris a cada letra
-        function assignRainbowColors(letters) {
-            const rainbowColors = generateRainbowColors(letters.length);
-            let colorMap = {};
-            letters.forEach((letter, index) => {
-                colorMap[letter] = rainbowColors[index];
-            });
-            return colorMap;
-        }
-
-        // Asignar colores aleatorios a cada letra
-        function assignRandomColors(letters) {
-            const randomColors = generateRandomColors(letters.length);
-            let colorMap = {};
-            letters.forEach((letter, index) => {
-                colorMap[letter] = randomColors[index];
-            });
-            return colorMap;
-        }
-    </script>
-
     <script src="notepad.js"></script>
     <script>
         document.addEventListener('DOMContentLoaded', () => {
-            const rainbowColorMap = assignRainbowColors(alfabeto);
-            const rainbowSequence = generateRainbowColors(50);
-            const randomColorMap = assignRandomColors(alfabeto);
+            const palettes = Notepad.palettes;
+            const alfabeto = palettes.DEFAULT_ALPHABET;
+            const rainbowColorMap = palettes.forAlphabet(alfabeto, palettes.rainbow(alfabeto.length));
+            const rainbowSequence = palettes.rainbow(50);
+            const randomColorMap = palettes.forAlphabet(alfabeto, palettes.random(alfabeto.length));
 
             // Ejemplo 1
             const np = new Notepad({
@@ -201,6 +157,7 @@
                 fontSize: 30,
                 colorSequence: rainbowSequence,
                 colors: ['transparent'],
+                autoTextColor: true,
                 containerPadding: '0px',
                 width: 'auto',
                 height: 'auto'
@@ -3,13 +3,52 @@
    - per-character colored spans
    - noteColorMap / colorMap / colorSequence / colorFunc
    - selection (click, drag, shift+click), copy/cut/paste
+   - serialize() / load() / Notepad.deserialize(): versioned file format with settings, migration and validation
+   - Context-aware color rules (regex, whole words, functions with word / line / neighbor context),
+     re-evaluated only on the lines around each edit
+   - Text as music: noteMap pitches played through Web Audio with a playhead, or rendered to WAV
+   - Lines: optional gutter with line numbers, current-line highlight and per-line format (alignment,
+     background, spacing, indent) stored on each line's newline, so it is saved, copied, synced and exported
+   - Grid mode (setGrid): cols x rows cells of one fixed size for letter / pixel art, free 2D caret,
+     empty cells padded with transparent spaces, no wrapping; Insert toggles insert / overwrite
+   - Letter animation: typewriter, fade, color cycling, wave, bounce and pulsing rings with easings,
+     a play / pause / seek timeline and a manual clock for frame-by-frame driving; optional edit lock
+   - Real-time collaborative editing: connect() over a pluggable transport (BroadcastChannel, WebSocket,
+     in-memory), letters merged as a sequence CRDT with colors and styles, peers' carets in their colors
+   - 'change' events carry the document ops (insert / delete / restyle) and their source; 'beforechange'
+     can cancel or transform each one; off() removes listeners
+   - multiple carets (Alt+click) and column selection (Alt+drag): typing, delete, paste and restyling
+     apply at every caret as one undo step
+   - find / findNext / replace / replaceAll (plain, whole word or regex; replacements keep the replaced
+     colors or take them from the color rules), match highlighting and a built-in Ctrl+F / Ctrl+H bar
+   - autoTextColor: black / white (or a custom pair) text per letter from the contrast against its
+     background; textColorFunc for custom text colors
+   - Notepad.color: DOM-free CSS color parser / converter (named, hex, rgb, hsl, hwb, oklab, oklch),
+     luminance, contrast and mixing; used by getDetailedJSON, the exporters and the palettes
+   - Notepad.palettes (rainbow, seeded random, HSL gradients, complementary / analogous / triadic,
+     colorblind-safe) and setPalette(name, opts)
+   - ANSI terminal export (24-bit / 256 / 16 colors) and SGR import; the static versions need no DOM
+   - system clipboard: copy/cut write text/plain + text/html + JSON, paste reads them back with colors
    - newline support (Enter -> <br>)
-   - hit-testing that handles wrapped lines
+   - hit-testing that handles wrapped lines, backed by a cached layout index (indexAtPoint / rectForIndex)
    - API to change app/container background
-   - exportAsImageWithP5 (prefers p5.createGraphics) with automatic canvas fallback
+   - exportAsImageWithP5 (prefers p5.createGraphics) with automatic canvas fallback; both PNG paths share
+     one drawing routine that reproduces the on-screen styling (radius, borders, text color, baseline)
+   - toCanvas / toBlob / toDataURL (PNG, JPEG, WebP; crop to selection or content; letter ranges)
+   - Animated GIF (built-in encoder, median-cut palette, loop count), PNG frames or a ZIP of frames from
+     the current animation or a recorded typing session (startRecording / stopRecording)
+   - exportAsSVG: resolution-independent vector export (one rect + one text per letter)
    - APIs to control font, letter padding and letter margin (affect existing and future letters)
    - NOTE: default fallback color array set to ['transparent'] if not provided
    - Inline font-family / font-size removed from individual spans so setFont(...) affects all letters via inheritance
+   - Transaction-based undo / redo history (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y) covering text, colors and style settings
+   - Caret navigation: arrows (Up/Down keep the column across wrapped lines), Home/End, Ctrl+Home/End,
+     Ctrl/Alt word jumps, PageUp/PageDown; Shift extends the selection; caret is scrolled into view
+   - Per-character style record (text color, weight, style, underline, border, radius, opacity)
+     falling back to the instance defaults; carried by rich content, clipboard, JSON and exporters
+   - Plain-data document model (this.doc) as the source of truth; the DOM (this.letterNodes) is patched
+     incrementally (only inserted/removed/restyled nodes are touched, the cursor is moved in place)
+   - Opt-in virtualized viewport (options.virtualize) for very large documents: only visible lines get DOM nodes
 */
 
 class Notepad {
@@ -28,6 +67,12 @@ class Notepad {
     this.colorSequence = options.colorSequence || null;
     this.colorFunc = options.colorFunc || null;
     this._seqIndex = 0;
+    // Context-aware rules (words, regex, functions); they take priority over all of the above
+    this._colorRules = null;
+    this._compiledRules = [];
+    this._rulesDirty = null; // edited region still to re-evaluate ({ a, b, d } like _vDirty)
+    this._ruleBase = new WeakMap(); // rule-colored item -> color it had before the rule applied
+    if (options.colorRules) this._setColorRules(options.colorRules);
 
     // Spacing / font defaults for letters (can be changed with API)
     this._letterPadY = (typeof options.letterPadY !== 'undefined') ? options.letterPadY : 2;
@@ -36,19 +81,82 @@ class Notepad {
     this._letterBorderRadius = (typeof options.letterBorderRadius !== 'undefined') ? options.letterBorderRadius : 4;
     this._letterBorderWidth = (typeof options.letterBorderWidth !== 'undefined') ? options.letterBorderWidth : 0;
     this._letterBorderColor = (typeof options.letterBorderColor !== 'undefined') ? options.letterBorderColor : '#000000';
+    this._textColor = (typeof options.textColor !== 'undefined') ? options.textColor : 'white';
+    this.textColorFunc = options.textColorFunc || null;
+    this._autoTextColor = Notepad._autoTextOptions(options.autoTextColor);
+    this._autoTextCache = null; // { base, colors: Map(background -> text color) }
 
     // State
-    this.letterNodes = []; // array of DOM nodes (span for chars, br for newline)
+    this.doc = []; // document model: { text, color, style? } items, newline as text '\n' (source of truth)
+    this.letterNodes = []; // DOM mirror of doc (span for chars, br for newline; null where not materialized)
     this.cursorPos = 0;
     this.selectionStart = null;
     this.selectionEnd = null;
+    this._carets = []; // extra carets { pos, anchor } (multi-caret / column selection)
+    this._caretNodes = [];
+    this._paintedCaretSelections = [];
     this.clipboard = []; // array of { text, color } ; newline as '\n'
     this.isDragging = false;
     this.handlers = {};
+    this._changes = []; // document ops since the last 'change' event (see _emitChange)
+    this._source = null; // origin of the changes being made (see _withSource)
+
+    // History (undo / redo)
+    this.historyLimit = (typeof options.historyLimit !== 'undefined') ? options.historyLimit : 200;
+    this.historyCoalesceMs = (typeof options.historyCoalesceMs !== 'undefined') ? options.historyCoalesceMs : 1000;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._txn = null; // transaction being recorded
+    this._applyingHistory = false;
+
+    // Virtualized viewport (only visible lines + virtualBuffer lines get DOM nodes)
+    this._virtual = !!options.virtualize;
+    this.virtualBuffer = (typeof options.virtualBuffer !== 'undefined') ? options.virtualBuffer : 20;
+
+    // Audio: characters -> pitches (note names like 'C#4' or frequencies in Hz)
+    this.noteMap = options.noteMap || Notepad.DEFAULT_NOTE_MAP;
+    this._playback = null;
+
+    // Find / replace (see find()); findBar: Ctrl+F / Ctrl+H open the built-in find bar
+    this.findBar = (typeof options.findBar !== 'undefined') ? options.findBar : true;
+    this._search = null; // { re, query, opts, matches, current, stale }
+    this._paintedMatches = [];
+    this._findBar = null;
+
+    // Collaborative editing (see connect())
+    this._sync = null; // session: transport, site, replicated sequence, peers
+    this._applyingRemote = false;
+    this._peerNodes = [];
+    this._paintedPeerSelections = [];
+
+    // Letter animation (see animate()) and session recording (see startRecording())
+    this._animation = null;
+    this._recording = null;
+
+    // Grid (cell) layout (see setGrid()); the Insert key toggles overwrite mode
+    this._grid = Notepad._gridOptions(options.grid);
+    if (this._grid && this._virtual) throw new Error('El modo cuadrícula no es compatible con virtualize');
+    this._overwrite = false;
+
+    // Lines (see setLineFormat()): every logical line is a div; its format lives on the newline that
+    // ends it, the last line's in _lastLine. Gutter and current-line highlight are view options.
+    this._lastLine = null;
+    this._gutter = Notepad._gutterOptions(options.gutter);
+    this._currentLine = Notepad._currentLineOption(options.highlightCurrentLine);
+    this._currentLineNode = null;
+    this._gutterDigits = 0;
 
     // Build DOM and events
     this._build();
     this._attachEvents();
+    if (this._grid) {
+      // start from an empty grid: rows of transparent cells
+      this._applyGrid();
+      this._transact('grid', () => this._gridNormalize());
+      this.clearHistory();
+      this._changes = [];
+    }
+    this._applyLines();
     this._render();
   }
 
@@ -57,195 +165,365 @@ class Notepad {
   focus() { try { this.textarea.focus(); } catch (e) { } }
 
   insertText(text) {
-    for (let ch of text) {
-      this._insertChar(ch);
-    }
-    this._emit('change');
+    this._transact('insert', () => {
+      for (let ch of text) {
+        this._insertChar(ch);
+      }
+    });
+    this._emitChange();
     this._render();
   }
 
   getPlainText() {
-    return this.letterNodes.map(node => (node.tagName === 'BR' ? '\n' : node.textContent)).join('');
+    return this.doc.map(item => item.text).join('');
   }
 
   getRichContent() {
-    return this.letterNodes.map(node => (node.tagName === 'BR' ? { text: '\n', color: null } : { text: node.textContent, color: node.dataset.color || null }));
+    return this.doc.map(item => this._cloneItem(item));
   }
 
   getDetailedJSON() {
-    return this.letterNodes.map((node, index) => {
-      if (node.tagName === 'BR') {
+    return this.doc.map((item, index) => {
+      if (item.text === '\n') {
         return {
           index: index,
           char: '\n',
           type: 'newline',
           color: null,
-          rgb: null
+          rgb: null,
+          style: item.style ? Object.assign({}, item.style) : null
         };
       }
 
-      const color = node.dataset.color || node.style.backgroundColor || 'transparent';
+      const color = item.color || 'transparent';
       const rgb = this._parseColor(color);
+      const st = this._resolveLetterStyle(item, index);
 
       return {
         index: index,
-        char: node.textContent,
+        char: item.text,
         type: 'character',
         color: color,
         rgb: rgb,
+        textColor: st.textColor,
+        fontWeight: st.fontWeight,
+        fontStyle: st.fontStyle,
+        underline: st.underline,
+        opacity: st.opacity,
         padding: {
           y: this._letterPadY,
           x: this._letterPadX
         },
         margin: this._letterMarginX,
-        borderRadius: this._letterBorderRadius,
+        borderRadius: st.borderRadius,
         border: {
-          width: this._letterBorderWidth,
-          color: this._letterBorderColor
-        }
+          width: st.borderWidth,
+          color: st.borderColor
+        },
+        style: item.style ? Object.assign({}, item.style) : null
       };
     });
   }
 
-  _parseColor(colorString) {
-    // Helper to parse color string to RGB object
-    if (!colorString || colorString === 'transparent') {
-      return null;
-    }
-
-    // Handle hex colors
-    if (colorString.startsWith('#')) {
-      const hex = colorString.slice(1);
-      if (hex.length === 3) {
-        return {
-          r: parseInt(hex[0] + hex[0], 16),
-          g: parseInt(hex[1] + hex[1], 16),
-          b: parseInt(hex[2] + hex[2], 16)
-        };
-      } else if (hex.length === 6) {
-        return {
-          r: parseInt(hex.slice(0, 2), 16),
-          g: parseInt(hex.slice(2, 4), 16),
-          b: parseInt(hex.slice(4, 6), 16)
-        };
-      }
-    }
-
-    // Handle rgb/rgba colors
-    const rgbMatch = colorString.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (rgbMatch) {
-      return {
-        r: parseInt(rgbMatch[1]),
-        g: parseInt(rgbMatch[2]),
-        b: parseInt(rgbMatch[3])
-      };
-    }
+  _parseColor(colorString) { return Notepad._parseColor(colorString); }
 
-    return null;
+  // Color string -> { r, g, b } (0-255), null for transparent or unknown colors (see Notepad.color)
+  static _parseColor(colorString) {
+    const c = Notepad.color.parse(colorString);
+    return (c && c.a > 0) ? { r: c.r, g: c.g, b: c.b } : null;
   }
 
   setFromPlainText(text) {
-    this._clearAll();
-    for (let ch of text) this._insertChar(ch);
+    this._transact('set', () => {
+      this._clearAll();
+      for (let ch of text) this._insertChar(ch);
+    });
     this._render();
-    this._emit('change');
+    this._emitChange();
   }
 
   setFromRichContent(arr) {
-    this._clearAll();
-    for (let item of arr) {
-      if (item.text === '\n') this._insertNewline();
-      else this._insertChar(item.text, item.color);
-    }
+    this._transact('set', () => {
+      this._clearAll();
+      for (let item of arr) {
+        if (item.text === '\n') this._insertNewline(this._mergeLetterStyle(null, item.style, Notepad.LINE_STYLE_KEYS));
+        else this._insertChar(item.text, item.color, item.style);
+      }
+    });
     this._render();
-    this._emit('change');
+    this._emitChange();
   }
 
-  copy() {
-    const range = this._getSelectionRange();
-    if (!range) return;
-    this.clipboard = [];
-    for (let i = range.start; i < range.end; i++) {
-      const n = this.letterNodes[i];
-      if (n.tagName === 'BR') this.clipboard.push({ text: '\n', color: null });
-      else this.clipboard.push({ text: n.textContent, color: n.dataset.color || null });
+  // Whole document (letters + instance settings) as a versioned JSON string; see README "File format".
+  // colorFunc, textColorFunc and the color rules that are functions (or have a function color / test)
+  // are code and are not saved.
+  serialize() {
+    const st = this._settingsState();
+    return JSON.stringify({
+      format: 'notepad',
+      version: Notepad.DOCUMENT_VERSION,
+      settings: {
+        font: { family: st.fontFamily, size: st.fontSize },
+        textColor: st.textColor,
+        autoTextColor: st.autoTextColor,
+        letter: {
+          padX: st.letterPadX,
+          padY: st.letterPadY,
+          marginX: st.letterMarginX,
+          borderRadius: st.letterBorderRadius,
+          borderWidth: st.letterBorderWidth,
+          borderColor: st.letterBorderColor
+        },
+        container: Object.assign({ padding: st.containerPadding }, st.container),
+        colorRules: {
+          noteColorMap: st.noteColorMap,
+          colorMap: st.colorMap,
+          colorSequence: st.colorSequence,
+          sequenceIndex: st.seqIndex,
+          rules: Notepad._colorRulesToJSON(st.colorRules)
+        },
+        grid: st.grid,
+        lastLine: st.lastLine
+      },
+      items: this.doc.map(item => this._cloneItem(item))
+    });
+  }
+
+  // Replace the document and settings with a serialized one (string or parsed object) as one
+  // undoable step. Older versions are migrated; malformed input throws before anything changes.
+  load(json) {
+    const data = Notepad._readDocument(json);
+    const s = data.settings;
+    const st = this._settingsState();
+    const pick = (obj, key, cur) => (obj && typeof obj[key] !== 'undefined') ? obj[key] : cur;
+    const font = s.font || {}, letter = s.letter || {}, container = s.container || {}, rules = s.colorRules || {};
+    const next = {
+      fontFamily: pick(font, 'family', st.fontFamily),
+      fontSize: pick(font, 'size', st.fontSize),
+      letterPadY: pick(letter, 'padY', st.letterPadY),
+      letterPadX: pick(letter, 'padX', st.letterPadX),
+      letterMarginX: pick(letter, 'marginX', st.letterMarginX),
+      letterBorderRadius: pick(letter, 'borderRadius', st.letterBorderRadius),
+      letterBorderWidth: pick(letter, 'borderWidth', st.letterBorderWidth),
+      letterBorderColor: pick(letter, 'borderColor', st.letterBorderColor),
+      textColor: pick(s, 'textColor', st.textColor),
+      textColorFunc: st.textColorFunc,
+      autoTextColor: Notepad._autoTextOptions(pick(s, 'autoTextColor', st.autoTextColor)),
+      containerPadding: pick(container, 'padding', st.containerPadding),
+      container: {
+        background: pick(container, 'background', st.container.background),
+        borderWidth: pick(container, 'borderWidth', st.container.borderWidth),
+        borderColor: pick(container, 'borderColor', st.container.borderColor),
+        borderRadius: pick(container, 'borderRadius', st.container.borderRadius),
+        borderStyle: pick(container, 'borderStyle', st.container.borderStyle)
+      },
+      noteColorMap: pick(rules, 'noteColorMap', st.noteColorMap),
+      colorMap: pick(rules, 'colorMap', st.colorMap),
+      colorSequence: pick(rules, 'colorSequence', st.colorSequence),
+      colorFunc: st.colorFunc,
+      colorRules: rules.rules ? Notepad._colorRulesFromJSON(rules.rules) : st.colorRules,
+      seqIndex: pick(rules, 'sequenceIndex', 0),
+      grid: Notepad._gridOptions(pick(s, 'grid', st.grid)),
+      lastLine: Notepad._lineFormat(pick(s, 'lastLine', st.lastLine))
+    };
+    if (next.grid && this._virtual) throw new Error('El modo cuadrícula no es compatible con virtualize');
+    this._trackSettings('load', () => {
+      this._clearAll();
+      this._applySettingsState(next);
+      this._insertItems(0, data.items);
+    });
+    this._render();
+    this._emitChange();
+  }
+
+  // New instance (options as for the constructor, e.g. { parent }) holding a serialized document
+  static deserialize(json, options = {}) {
+    const np = new Notepad(options);
+    try {
+      np.load(json);
+    } catch (err) {
+      np.destroy();
+      throw err;
     }
+    np.clearHistory();
+    return np;
+  }
+
+  // Copies the selection to the internal clipboard and, when allowed, to the system clipboard
+  // (text/plain + text/html). Ctrl+C / Ctrl+X go through the native copy / cut events instead,
+  // which can also carry the JSON format (see _onCopy).
+  copy() {
+    if (!this._selectionRanges().length) return;
+    this.clipboard = this._selectionItems();
     try {
-      const plain = this.clipboard.map(o => o.text).join('');
-      navigator.clipboard && navigator.clipboard.writeText(plain).catch(() => { });
+      const plain = this._clipboardText(this.clipboard);
+      if (navigator.clipboard && typeof navigator.clipboard.write === 'function' && typeof ClipboardItem === 'function') {
+        const html = this._clipboardHTML(this.clipboard);
+        navigator.clipboard.write([new ClipboardItem({
+          'text/plain': new Blob([plain], { type: 'text/plain' }),
+          'text/html': new Blob([html], { type: 'text/html' })
+        })]).catch(() => navigator.clipboard.writeText(plain).catch(() => { }));
+      } else if (navigator.clipboard) {
+        navigator.clipboard.writeText(plain).catch(() => { });
+      }
     } catch (e) { }
     this._emit('copy', this.clipboard.slice());
   }
 
   cut() {
-    const range = this._getSelectionRange();
-    if (!range) return;
+    if (!this._selectionRanges().length) return;
     this.copy();
-    for (let i = range.end - 1; i >= range.start; i--) {
-      this.letterNodes[i].remove();
-      this.letterNodes.splice(i, 1);
-    }
-    this.cursorPos = range.start;
-    this._clearSelection();
-    this._render();
-    this._emit('change');
+    this._withSource('cut', () => {
+      this._cutSelection();
+      this._render();
+      this._emitChange();
+    });
   }
 
+  // Pastes the internal clipboard (Ctrl+V pastes from the system clipboard via the paste event)
   paste() {
     if (!this.clipboard || this.clipboard.length === 0) return;
-    const range = this._getSelectionRange();
-    if (range) {
-      for (let i = range.end - 1; i >= range.start; i--) {
-        this.letterNodes[i].remove();
-        this.letterNodes.splice(i, 1);
-      }
-      this.cursorPos = range.start;
-      this._clearSelection();
-    }
-    for (let item of this.clipboard) {
-      if (item.text === '\n') this._insertNewline();
-      else this._insertChar(item.text, item.color);
-    }
-    this._emit('paste', this.clipboard.slice());
-    this._render();
-    this._emit('change');
+    this._withSource('paste', () => {
+      this._pasteItems(this.clipboard);
+      this._render();
+      this._emitChange();
+    });
+  }
+
+  // ---------------- History (undo / redo) ----------------
+
+  // Undo the last recorded step (typing run, paste, cut, recolor, style change...)
+  undo() {
+    const entry = this._undoStack.pop();
+    if (!entry) return false;
+    this._withSource('history', () => {
+      this._replayEntry(entry, true);
+      this._redoStack.push(entry);
+      this._render();
+      this._emitChange();
+    });
+    this._emit('undo', { label: entry.label });
+    return true;
+  }
+
+  redo() {
+    const entry = this._redoStack.pop();
+    if (!entry) return false;
+    this._withSource('history', () => {
+      this._replayEntry(entry, false);
+      this._undoStack.push(entry);
+      this._render();
+      this._emitChange();
+    });
+    this._emit('redo', { label: entry.label });
+    return true;
+  }
+
+  canUndo() { return this._undoStack.length > 0; }
+  canRedo() { return this._redoStack.length > 0; }
+
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
   }
 
   // ---------------- Color & background API ----------------
 
-  setNoteColorMap(map) { this.noteColorMap = map || null; this.recolor(); }
+  setNoteColorMap(map) { this._trackSettings('colors', () => { this.noteColorMap = map || null; this.recolor(); }); }
   setNoteColor(note, color) {
-    if (!this.noteColorMap) this.noteColorMap = {};
-    if (color == null) delete this.noteColorMap[note];
-    else this.noteColorMap[note] = color;
-    this.recolor();
+    this._trackSettings('colors', () => {
+      this.noteColorMap = this.noteColorMap ? Object.assign({}, this.noteColorMap) : {};
+      if (color == null) delete this.noteColorMap[note];
+      else this.noteColorMap[note] = color;
+      this.recolor();
+    });
+  }
+  setColorMap(map) { this._trackSettings('colors', () => { this.colorMap = map || null; this.recolor(); }); }
+  setColorSequence(seq) { this._trackSettings('colors', () => { this.colorSequence = (Array.isArray(seq) && seq.length) ? seq.slice() : null; this._seqIndex = 0; this.recolor(); }); }
+  setColorFunc(fn) { this._trackSettings('colors', () => { this.colorFunc = (typeof fn === 'function') ? fn : null; this.recolor(); }); }
+  resetSequence() { this._trackSettings('colors', () => { this._seqIndex = 0; this.recolor(); }); }
+
+  // Context-aware color rules, first matching rule wins (see README "Color Rules"):
+  //   { match: /\d+/, color }            regex (or literal string) matched against each line
+  //   { word: 'TODO' | [..], color }      whole words (caseSensitive: false to ignore case)
+  //   { test: (ctx) => bool, color }      predicate per letter
+  //   (ctx) => color | null               function per letter
+  // color may be a function (ctx) => color. ctx: { ch, index, column, line, lineNumber, word, prev, next, match }
+  setColorRules(rules) { this._trackSettings('colors', () => { this._setColorRules(rules); this.recolor(); }); }
+  addColorRule(rule) { this.setColorRules((this._colorRules || []).concat([rule])); }
+  getColorRules() { return this._colorRules ? this._colorRules.slice() : []; }
+
+  // Apply a Notepad.palettes scheme in one call (one undoable step).
+  // opts: generator options (steps, seed, stops, base, ...) plus
+  //   target: 'noteColorMap' (default, one color per letter of opts.alphabet) | 'colorSequence'
+  setPalette(name, opts = {}) {
+    const P = Notepad.palettes;
+    const target = opts.target || 'noteColorMap';
+    const alphabet = opts.alphabet || P.DEFAULT_ALPHABET;
+    const steps = opts.steps || (target === 'colorSequence' ? 12 : Array.from(alphabet).length);
+    const colors = P.generate(name, Object.assign({}, opts, { steps }));
+    if (target === 'colorSequence') this.setColorSequence(colors);
+    else if (target === 'noteColorMap') this.setNoteColorMap(P.forAlphabet(alphabet, colors));
+    else throw new Error('setPalette: target desconocido "' + target + '"');
   }
-  setColorMap(map) { this.colorMap = map || null; this.recolor(); }
-  setColorSequence(seq) { this.colorSequence = (Array.isArray(seq) && seq.length) ? seq.slice() : null; this._seqIndex = 0; this.recolor(); }
-  setColorFunc(fn) { this.colorFunc = (typeof fn === 'function') ? fn : null; this.recolor(); }
-  resetSequence() { this._seqIndex = 0; this.recolor(); }
 
   // change whole app background or container background
   setAppBackground(color) { try { document.body.style.backgroundColor = color; } catch (e) { } }
-  setContainerBackground(color) { try { this.container.style.background = color; } catch (e) { } }
+  setContainerBackground(color) {
+    this._trackSettings('style', () => {
+      try { this.container.style.background = color; } catch (e) { }
+      if (this._autoTextColor) this._applyLetterStyles();
+    });
+  }
 
   setContainerPadding(padding) {
-    this._containerPadding = padding;
-    this.container.style.padding = padding;
+    this._trackSettings('style', () => {
+      this._containerPadding = padding;
+      this.container.style.padding = padding;
+    });
     this._render();
   }
 
   setSize(w, h) {
     if (w) { this.width = w; this.container.style.width = w + 'px'; }
     if (h) { this.height = h; this.container.style.height = h + 'px'; }
+    this._layoutCache = null;
+    if (this._virtual) this._render();
+  }
+
+  // Switch the virtualized viewport on or off at runtime (see options.virtualize)
+  setVirtualized(enabled) {
+    enabled = !!enabled;
+    if (enabled === this._virtual) return;
+    if (enabled && this._grid) throw new Error('El modo cuadrícula no es compatible con virtualize');
+    this.content.innerHTML = '';
+    this._renderedSelection = null;
+    this._layoutCache = null;
+    this._currentLineNode = null;
+    this._virtual = enabled;
+    if (enabled) {
+      this._vSetup();
+      this.letterNodes = new Array(this.doc.length).fill(null);
+    } else {
+      this._vTeardown();
+      this.content.appendChild(this._createLine());
+      this.letterNodes = this.doc.map((item, i) => this._createNode(item, i));
+      this._domInsert(0, this.letterNodes);
+    }
+    this._applyLines();
+    this._render();
   }
 
+  isVirtualized() { return this._virtual; }
+
   setBorder(width, color, radius) {
-    if (width !== null) this.container.style.borderWidth = width + 'px';
-    if (color !== null) this.container.style.borderColor = color;
-    if (radius !== null) this.container.style.borderRadius = radius + 'px';
-    // Ensure style is solid if not set, though _build sets border: 1px solid #ccc
-    this.container.style.borderStyle = 'solid';
+    this._trackSettings('style', () => {
+      if (width !== null) this.container.style.borderWidth = width + 'px';
+      if (color !== null) this.container.style.borderColor = color;
+      if (radius !== null) this.container.style.borderRadius = radius + 'px';
+      // Ensure style is solid if not set, though _build sets border: 1px solid #ccc
+      this.container.style.borderStyle = 'solid';
+    });
   }
 
   setResizable(enabled) {
@@ -259,15 +537,25 @@ class Notepad {
 
   // Recolorize deterministically (used after changing maps)
   recolor() {
-    for (let i = 0; i < this.letterNodes.length; i++) {
-      const n = this.letterNodes[i];
-      if (n.tagName === 'BR') continue;
-      const ch = n.textContent;
-      const col = this._deterministicColorForChar(ch, i);
-      n.style.backgroundColor = col;
-      n.dataset.color = col;
-    }
+    this._transact('recolor', () => {
+      const indices = [], before = [], after = [];
+      for (let i = 0; i < this.doc.length; i++) {
+        const item = this.doc[i];
+        if (item.text === '\n') continue;
+        const col = this._deterministicColorForChar(item.text, i);
+        if (item.color === col) continue;
+        const applied = this._updateItem(i, { color: col });
+        if (!applied) continue;
+        indices.push(i);
+        before.push(item.color);
+        after.push(applied.color);
+      }
+      if (indices.length) this._record({ type: 'recolor', indices, before, after });
+      // rule colors go on top of the base colors when the transaction ends
+      if (this._compiledRules.length) this._rulesDirty = { a: 0, b: this.doc.length, d: 0 };
+    });
     this._render();
+    this._emitChange();
   }
 
   // ---------------- Font / spacing API ----------------
@@ -275,286 +563,2621 @@ class Notepad {
   // Apply fontFamily and fontSize (affects container and existing letter nodes)
   // Note: spans do NOT have inline font-family/font-size so they inherit from container.
   setFont(fontFamily, fontSize) {
-    if (fontFamily) {
-      this.fontFamily = fontFamily;
-      this.container.style.fontFamily = fontFamily;
-    }
-    if (fontSize) {
-      this.fontSize = fontSize;
-      this.container.style.fontSize = fontSize + 'px';
-    }
-    // remove inline font properties from spans so they inherit the container styles
-    for (const n of this.letterNodes) {
-      if (!n || n.tagName === 'BR') continue;
-      n.style.removeProperty('font-family');
-      n.style.removeProperty('font-size');
-    }
-    // update cursor height
-    this.cursor.style.height = (this.fontSize + 4) + 'px';
+    this._trackSettings('style', () => {
+      if (fontFamily) this.fontFamily = fontFamily;
+      if (fontSize) this.fontSize = fontSize;
+      this._applyFont();
+      if (this._grid) this._applyLetterStyles(); // default cell size follows the font
+    });
   }
 
   // padding: padY (top/bottom) and padX (left/right) in px
   setLetterPadding(padY = 2, padX = 4) {
-    this._letterPadY = padY;
-    this._letterPadX = padX;
-    for (const n of this.letterNodes) {
-      if (!n || n.tagName === 'BR') continue;
-      n.style.padding = `${padY}px ${padX}px`;
-    }
+    this._trackSettings('style', () => {
+      this._letterPadY = padY;
+      this._letterPadX = padX;
+      this._applyLetterStyles();
+    });
   }
 
   setLetterBorderRadius(radius = 4) {
-    this._letterBorderRadius = radius;
-    for (const n of this.letterNodes) {
-      if (!n || n.tagName === 'BR') continue;
-      n.style.borderRadius = radius + 'px';
-    }
+    this._trackSettings('style', () => {
+      this._letterBorderRadius = radius;
+      this._applyLetterStyles();
+    });
   }
 
   setLetterBorder(width, color) {
-    if (width !== null && width !== undefined) this._letterBorderWidth = width;
-    if (color !== null && color !== undefined) this._letterBorderColor = color;
-    for (const n of this.letterNodes) {
-      if (!n || n.tagName === 'BR') continue;
-      n.style.border = this._letterBorderWidth + 'px solid ' + this._letterBorderColor;
-    }
+    this._trackSettings('style', () => {
+      if (width !== null && width !== undefined) this._letterBorderWidth = width;
+      if (color !== null && color !== undefined) this._letterBorderColor = color;
+      this._applyLetterStyles();
+    });
   }
 
   // marginX: number => horizontal margin (px) applied as '0 ${marginX}px'
   // or string to provide full margin value
   setLetterMargin(marginX = 0) {
-    this._letterMarginX = marginX;
-    const val = (typeof marginX === 'number') ? `0 ${marginX}px` : marginX;
-    for (const n of this.letterNodes) {
-      if (!n || n.tagName === 'BR') continue;
-      n.style.margin = val;
-    }
+    this._trackSettings('style', () => {
+      this._letterMarginX = marginX;
+      this._applyLetterStyles();
+    });
   }
 
-  // ---------------- Events ----------------
-  on(eventName, fn) {
-    if (!this.handlers[eventName]) this.handlers[eventName] = [];
-    this.handlers[eventName].push(fn);
+  // Default text color for letters without their own textColor
+  setTextColor(color) {
+    this._trackSettings('style', () => {
+      this._textColor = color;
+      this._applyLetterStyles();
+    });
   }
 
-  destroy() {
-    this._detachEvents();
-    this.container.remove();
+  // fn(char, index, background) => color, or null to fall back to autoTextColor / textColor
+  setTextColorFunc(fn) {
+    this._trackSettings('style', () => {
+      this.textColorFunc = (typeof fn === 'function') ? fn : null;
+      this._applyLetterStyles();
+    });
   }
 
-  // ---------------- Export: p5-based with canvas fallback ----------------
-
-  // export using p5.createGraphics if available; otherwise uses native canvas fallback
-  exportAsImageWithP5(filename = 'notepad.png', opts = {}) {
-    // fallback automatically to canvas exporter if p5 global not available
-    if (typeof window.createGraphics !== 'function') {
-      if (typeof this.exportAsImageCanvas === 'function') {
-        return this.exportAsImageCanvas(filename, opts);
-      } else {
-        return Promise.reject(new Error('p5.createGraphics no disponible y no existe fallback canvas.'));
-      }
-    }
-
-    return new Promise((resolve, reject) => {
-      const scale = opts.scale || 2;
-      const background = (typeof opts.background !== 'undefined') ? opts.background : this.container.style.background;
+  // true, false or { light, dark, contrast } (see README "Automatic text color")
+  setAutoTextColor(mode) {
+    this._trackSettings('style', () => {
+      this._autoTextColor = Notepad._autoTextOptions(mode);
+      this._applyLetterStyles();
+    });
+  }
 
+  getAutoTextColor() {
+    return this._autoTextColor ? Object.assign({}, this._autoTextColor) : null;
+  }
 
-      const width = Math.max(1, this.container.scrollWidth);
-      const height = Math.max(1, this.container.scrollHeight);
+  // ---------------- Per-character style API ----------------
 
-      try {
-        const g = window.createGraphics(Math.round(width * scale), Math.round(height * scale));
-        g.push();
-        g.scale(scale);
+  // Merge style overrides into letters [start, end). Keys: textColor, background, fontWeight,
+  // fontStyle, underline, borderWidth, borderColor, borderRadius, opacity. A null value removes
+  // the override so the letter falls back to the instance default again.
+  setLetterStyle(start, end, style) {
+    this._transact('style', () => this._restyleRange(start, end, style));
+    this._render();
+    this._emitChange();
+  }
 
-        if (background !== null) g.background(background); else g.clear();
+  // Styles the selection of every caret (one undoable step)
+  setSelectionStyle(style) {
+    const ranges = this._selectionRanges();
+    if (!ranges.length) return;
+    this._transact('style', () => {
+      for (const r of ranges) this._restyleRange(r.start, r.end, style);
+    });
+    this._render();
+    this._emitChange();
+  }
 
-        g.noStroke();
-        g.textSize(this.fontSize);
-        try { g.textFont(this.fontFamily); } catch (e) { }
-        g.textAlign(g.LEFT, g.TOP);
+  _restyleRange(start, end, style) {
+    start = Math.max(0, Math.min(start, this.doc.length));
+    end = Math.max(start, Math.min(end, this.doc.length));
+    const indices = [], before = [], after = [];
+    for (let i = start; i < end; i++) {
+      const prev = this.doc[i];
+      if (prev.text === '\n') continue;
+      const next = { color: prev.color, style: this._mergeLetterStyle(prev.style, style) };
+      if (style && typeof style.background !== 'undefined') next.color = style.background;
+      const applied = this._updateItem(i, next);
+      if (!applied) continue;
+      indices.push(i);
+      before.push({ color: prev.color, style: prev.style || null });
+      after.push({ color: applied.color, style: applied.style || null });
+    }
+    if (indices.length) this._record({ type: 'restyle', indices, before, after });
+  }
 
-        const containerRect = this.container.getBoundingClientRect();
+  clearLetterStyle(start, end) {
+    const keys = {};
+    for (const k of Notepad.LETTER_STYLE_KEYS) keys[k] = null;
+    this.setLetterStyle(start, end, keys);
+  }
 
-        for (let i = 0; i < this.letterNodes.length; i++) {
-          const node = this.letterNodes[i];
-          if (!node) continue;
-          if (node.tagName === 'BR') continue;
-          const r = node.getBoundingClientRect();
-          const x = r.left - containerRect.left + this.container.scrollLeft;
-          const y = r.top - containerRect.top + this.container.scrollTop;
-          const w = Math.max(1, r.width);
-          const h = Math.max(1, r.height);
-          const color = (node.dataset && node.dataset.color) ? node.dataset.color : '#000';
+  // Effective style of letter i (own overrides + instance defaults), null for newlines
+  getLetterStyle(i) {
+    const item = this.doc[i];
+    if (!item || item.text === '\n') return null;
+    return Object.assign({ background: item.color || 'transparent' }, this._resolveLetterStyle(item, i));
+  }
 
-          try {
-            g.fill(color);
-            g.rect(x, y, w, h, 4);
-          } catch (errRect) {
-            g.fill(color);
-            g.rect(x, y, w, h);
-          }
+  // item: { text, color, style? }; index is only passed on to textColorFunc (null when unknown)
+  _resolveLetterStyle(item, index = null) {
+    const o = item.style || {};
+    const pick = (k, def) => (o[k] !== undefined && o[k] !== null) ? o[k] : def;
+    return {
+      textColor: (o.textColor !== undefined && o.textColor !== null) ? o.textColor : this._defaultTextColor(item, index),
+      fontWeight: pick('fontWeight', 'normal'),
+      fontStyle: pick('fontStyle', 'normal'),
+      underline: pick('underline', false),
+      borderWidth: pick('borderWidth', this._letterBorderWidth),
+      borderColor: pick('borderColor', this._letterBorderColor),
+      borderRadius: pick('borderRadius', this._letterBorderRadius),
+      opacity: pick('opacity', 1)
+    };
+  }
 
-          g.fill(255);
-          g.text(node.textContent, x + 2, y + 2);
-        }
+  // Text color of a letter without its own textColor: textColorFunc, then autoTextColor, then textColor
+  _defaultTextColor(item, index) {
+    if (this.textColorFunc) {
+      let c = null;
+      try { c = this.textColorFunc(item.text, index, item.color || 'transparent'); } catch (e) { }
+      if (c) return c;
+    }
+    return this._autoTextColor ? this._autoTextFor(item.color) : this._textColor;
+  }
 
-        g.pop();
+  // light or dark, whichever reaches the target contrast on the letter background as it is seen
+  // (composited over the container background; transparent letters show the container itself).
+  // Results are cached per background until the container background changes.
+  _autoTextFor(background) {
+    const C = Notepad.color;
+    const base = this.container.style.backgroundColor || 'white';
+    let cache = this._autoTextCache;
+    if (!cache || cache.base !== base) cache = this._autoTextCache = { base, colors: new Map() };
+    const key = background || 'transparent';
+    if (cache.colors.has(key)) return cache.colors.get(key);
+
+    const opts = this._autoTextColor;
+    const under = C.parse(base);
+    let seen = (under && under.a > 0) ? C.mix('white', { r: under.r, g: under.g, b: under.b }, under.a) : 'white';
+    const bg = C.parse(key);
+    if (bg && bg.a > 0) seen = C.mix(seen, { r: bg.r, g: bg.g, b: bg.b }, bg.a);
+    const light = C.contrast(opts.light, seen), dark = C.contrast(opts.dark, seen);
+    let pick;
+    if (light === null || dark === null) pick = this._textColor;
+    else if (light >= opts.contrast) pick = opts.light;
+    else if (dark >= opts.contrast) pick = opts.dark;
+    else pick = light >= dark ? opts.light : opts.dark;
+    cache.colors.set(key, pick);
+    return pick;
+  }
 
-        const canvas = g.elt && g.elt.tagName === 'CANVAS' ? g.elt : (g.canvas || (g._renderer && g._renderer.canvas));
-        if (!canvas) {
-          return reject(new Error('No se pudo acceder al canvas del p5.Graphics'));
-        }
-        const dataUrl = canvas.toDataURL('image/png');
-        const a = document.createElement('a');
-        a.href = dataUrl;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        resolve();
-      } catch (err) {
-        reject(err);
-      }
-    });
+  // autoTextColor option -> { light, dark, contrast } or null (off)
+  static _autoTextOptions(mode) {
+    if (!mode) return null;
+    const o = (typeof mode === 'object') ? mode : {};
+    for (const k of ['light', 'dark']) {
+      if (o[k] && (typeof o[k] !== 'string' || !Notepad.color.parse(o[k]))) throw new Error('autoTextColor no válido: ' + k + ' debe ser un color');
+    }
+    if (typeof o.contrast !== 'undefined' && !(typeof o.contrast === 'number' && o.contrast > 0)) {
+      throw new Error('autoTextColor no válido: contrast debe ser un número positivo');
+    }
+    return {
+      light: o.light || 'white',
+      dark: o.dark || 'black',
+      contrast: (typeof o.contrast === 'number') ? o.contrast : 4.5
+    };
   }
 
-  exportAsImageCanvas(filename = 'notepad.png', opts = {}) {
-    return new Promise((resolve, reject) => {
-      try {
-        const scale = opts.scale || 2;
-        const background = (typeof opts.background !== 'undefined') ? opts.background : this.container.style.background;
-        const width = Math.max(1, this.container.scrollWidth);
-        const height = Math.max(1, this.container.scrollHeight);
-        const canvas = document.createElement('canvas');
-        canvas.width = Math.round(width * scale);
-        canvas.height = Math.round(height * scale);
-        const ctx = canvas.getContext('2d');
-        ctx.scale(scale, scale);
-
-        if (background !== null) {
-          ctx.fillStyle = background;
-          ctx.fillRect(0, 0, width, height);
-        } else {
-          ctx.clearRect(0, 0, width, height);
-        }
+  // Returns a new override record (or null when empty); keys: the recognized keys (letter style
+  // by default, Notepad.LINE_STYLE_KEYS for line formats)
+  _mergeLetterStyle(own, patch, keys = Notepad.LETTER_STYLE_KEYS) {
+    const out = Object.assign({}, own || {});
+    for (const k of keys) {
+      if (!patch || !(k in patch)) continue;
+      if (patch[k] === null || patch[k] === undefined) delete out[k];
+      else out[k] = patch[k];
+    }
+    return Object.keys(out).length ? out : null;
+  }
 
-        const containerRect = this.container.getBoundingClientRect();
-        ctx.textBaseline = 'top';
-        ctx.font = `${this.fontSize}px ${this.fontFamily || 'monospace'}`;
-
-        for (let i = 0; i < this.letterNodes.length; i++) {
-          const node = this.letterNodes[i];
-          if (!node) continue;
-          if (node.tagName === 'BR') continue;
-          const r = node.getBoundingClientRect();
-          const x = r.left - containerRect.left + this.container.scrollLeft;
-          const y = r.top - containerRect.top + this.container.scrollTop;
-          const w = r.width;
-          const h = r.height;
-          const color = (node.dataset && node.dataset.color) ? node.dataset.color : '#000';
-
-          const radius = 4;
-          ctx.fillStyle = color;
-          ctx.beginPath();
-          ctx.moveTo(x + radius, y);
-          ctx.lineTo(x + w - radius, y);
-          ctx.quadraticCurveTo(x + w, y, x + w, y + radius);
-          ctx.lineTo(x + w, y + h - radius);
-          ctx.quadraticCurveTo(x + w, y + h, x + w - radius, y + h);
-          ctx.lineTo(x + radius, y + h);
-          ctx.quadraticCurveTo(x, y + h, x, y + h - radius);
-          ctx.lineTo(x, y + radius);
-          ctx.quadraticCurveTo(x, y, x + radius, y);
-          ctx.closePath();
-          ctx.fill();
-
-          ctx.fillStyle = '#ffffff';
-          ctx.fillText(node.textContent, x + 4, y + 4);
-        }
+  _applyFont() {
+    this.container.style.fontFamily = this.fontFamily;
+    this.container.style.fontSize = this.fontSize + 'px';
+    // remove inline font properties from spans so they inherit the container styles
+    for (const n of this.letterNodes) {
+      if (!n || n.tagName === 'BR') continue;
+      n.style.removeProperty('font-family');
+      n.style.removeProperty('font-size');
+    }
+    this._styleCursor();
+    this._layoutCache = null;
+    if (this._virtual) { this._vInvalidate(); this._render(); }
+    else this._applyLines();
+  }
 
-        canvas.toBlob(function (blob) {
-          const a = document.createElement('a');
-          const url = URL.createObjectURL(blob);
-          a.href = url;
-          a.download = filename;
-          document.body.appendChild(a);
-          a.click();
-          a.remove();
-          URL.revokeObjectURL(url);
-          resolve();
-        }, 'image/png');
-      } catch (err) {
-        reject(err);
-      }
+  // In flow the caret takes no room (its margin box is empty), so moving it never reflows the
+  // letters and the cached layout stays valid while the caret moves or a drag selection grows.
+  // In overwrite mode it is a translucent block as wide as a grid cell (or about one glyph).
+  _styleCursor() {
+    const cell = this._gridCell();
+    const h = cell ? cell.height : this.fontSize + 4;
+    const w = this._overwrite ? (cell ? cell.width : Math.round(this.fontSize * 0.6)) : 2;
+    const flow = !this._virtual;
+    Object.assign(this.cursor.style, {
+      width: w + 'px',
+      height: h + 'px',
+      backgroundColor: this._overwrite ? 'rgba(51, 51, 51, 0.4)' : '#333',
+      // on a grid row the caret hangs from the top of the line, over the cell
+      verticalAlign: cell ? 'top' : 'text-bottom',
+      marginTop: (flow && !cell) ? (-h) + 'px' : '',
+      marginBottom: (flow && cell) ? (-h) + 'px' : '',
+      marginRight: flow ? (-w) + 'px' : ''
     });
   }
 
-  // ---------------- Internal helpers ----------------
+  // Write the instance letter spacing / radius / border to every letter span
+  _applyLetterStyles() {
+    this._layoutCache = null;
+    this._autoTextCache = null;
+    if (this._virtual) { this._vInvalidate(); this._render(); return; }
+    for (let i = 0; i < this.letterNodes.length; i++) {
+      const n = this.letterNodes[i];
+      if (!n || n.tagName === 'BR') continue;
+      this._styleLetterSpan(n, this.doc[i], i);
+    }
+    this._applyLines(); // row heights follow the letter padding / border and the grid cells
+  }
 
-  _build() {
-    this.container = document.createElement('div');
-    this.container.className = 'notepad-container';
-    this.container.tabIndex = 0;
-    Object.assign(this.container.style, {
-      width: this.width + 'px',
-      height: this.height + 'px',
-      border: '1px solid #ccc',
-      padding: this._containerPadding,
-      fontFamily: this.fontFamily,
-      fontSize: this.fontSize + 'px',
-      lineHeight: '1.5',
-      cursor: 'text',
-      overflow: 'auto',
-      userSelect: 'none',
-      outline: 'none',
-      background: 'white',
-      whiteSpace: 'pre-wrap',
-      wordWrap: 'break-word',
-    });
-    this.content = document.createElement('div');
-    this.content.style.display = 'inline';
-    this.container.appendChild(this.content);
+  _styleLetterSpan(span, item, index) {
+    const st = this._resolveLetterStyle(item, index);
+    const cell = this._gridCell();
+    span.style.backgroundColor = item.color;
+    span.dataset.color = item.color;
+    span.style.padding = cell ? '0' : `${this._letterPadY}px ${this._letterPadX}px`;
+    span.style.margin = cell ? '0' : ((typeof this._letterMarginX === 'number') ? `0 ${this._letterMarginX}px` : this._letterMarginX);
+    // grid cells: one fixed box per letter with the glyph centered (and clipped) inside
+    Object.assign(span.style, cell ? {
+      boxSizing: 'border-box',
+      width: cell.width + 'px',
+      height: cell.height + 'px',
+      lineHeight: Math.max(0, cell.height - 2 * st.borderWidth) + 'px',
+      textAlign: 'center',
+      verticalAlign: 'top',
+      overflow: 'hidden'
+    } : { boxSizing: '', width: '', height: '', lineHeight: '1.5', textAlign: '', verticalAlign: '', overflow: '' });
+    span.style.borderRadius = st.borderRadius + 'px';
+    span.style.border = st.borderWidth + 'px solid ' + st.borderColor;
+    span.style.color = st.textColor;
+    span.style.fontWeight = st.fontWeight;
+    span.style.fontStyle = st.fontStyle;
+    span.style.textDecoration = st.underline ? 'underline' : 'none';
+    span.style.opacity = String(st.opacity);
+  }
 
-    this.cursor = document.createElement('span');
-    this.cursor.className = 'notepad-cursor';
-    Object.assign(this.cursor.style, {
-      display: 'inline-block',
-      width: '2px',
-      height: (this.fontSize + 4) + 'px',
-      backgroundColor: '#333',
-      verticalAlign: 'text-bottom',
-      animation: 'np-blink 1s steps(2,start) infinite',
-    });
+  // ---------------- Lines: gutter and per-line format ----------------
+  // Lines are logical lines (0-based, split at newlines only). A line's format { align, background,
+  // spacing, indent } is the style record of the newline that ends it, so it moves, copies, syncs,
+  // saves and undoes with the text; the last line has no newline and keeps its format in _lastLine
+  // (a setting). On a grid only the background applies. The virtualized viewport shows neither the
+  // formats nor the gutter (they are still kept and saved).
+
+  getLineCount() {
+    let n = 1;
+    for (const item of this.doc) if (item.text === '\n') n++;
+    return n;
+  }
 
-    if (!document.getElementById('notepad-style')) {
-      const st = document.createElement('style');
-      st.id = 'notepad-style';
-      st.textContent = `
-        @keyframes np-blink { 0%{opacity:1}50%{opacity:0}100%{opacity:1} }
-        .notepad-letter-selected { outline: 2px solid rgba(0,0,0,0.15); box-shadow: inset 0 0 0 2px rgba(0,0,0,0.03); }
-        .notepad-newline { display: block; width: 0; height: 0; margin: 0; padding: 0; }
-      `;
-      document.head.appendChild(st);
+  // Line of caret position pos
+  lineAt(pos) {
+    pos = Math.max(0, Math.min(pos, this.doc.length));
+    let n = 0;
+    for (let i = 0; i < pos; i++) if (this.doc[i].text === '\n') n++;
+    return n;
+  }
+
+  // Effective format of a line ({ align, background, spacing, indent }), or null past the last line
+  getLineFormat(line) {
+    if (!Number.isInteger(line) || line < 0) return null;
+    let start = 0;
+    for (let n = 0; n < line; n++) {
+      const end = this._hardLineEnd(start);
+      if (end >= this.doc.length) return null;
+      start = end + 1;
     }
+    return Object.assign({ align: 'left', background: null, spacing: 1, indent: 0 }, this._lineStyleAt(start) || {});
+  }
 
-    this.parent.appendChild(this.container);
+  // Merge format keys into a line or a range of lines ([first, last]) as one undoable step; a null
+  // value removes the key. align: 'left' | 'center' | 'right' | 'justify'; background: CSS color;
+  // spacing: row height multiplier (1 single, 2 double); indent: left indent in px.
+  setLineFormat(lines, format) {
+    const [first, last] = Array.isArray(lines) ? lines : [lines, lines];
+    const count = this.getLineCount();
+    if (!Number.isInteger(first) || !Number.isInteger(last) || first < 0 || last >= count || first > last) {
+      throw new Error('Líneas fuera del documento: ' + lines);
+    }
+    this._formatLines((n) => n >= first && n <= last, format);
+  }
 
-    // Hidden textarea for mobile input
-    this.textarea = document.createElement('textarea');
-    Object.assign(this.textarea.style, {
-      position: 'absolute',
-      opacity: '0',
-      pointerEvents: 'none',
-      width: '1px',
-      height: '1px',
-      top: '0',
-      left: '0'
+  // Formats every line touched by a caret or a selection (one undoable step)
+  setSelectionLineFormat(format) {
+    const spans = this.getCarets().map(c => {
+      const r = this._caretRange(c);
+      return { first: this.lineAt(r.start), last: this.lineAt(r.end) };
     });
-    this.container.appendChild(this.textarea);
+    this._formatLines((n) => spans.some(s => n >= s.first && n <= s.last), format);
+  }
 
-    this.focus();
+  // Line-number gutter: true, false or { width, color, background, currentColor } (width in px,
+  // by default from the number of digits). A view option: not saved nor undoable.
+  setGutter(opts) {
+    this._gutter = Notepad._gutterOptions(opts);
+    this._applyLines();
+    this._render();
+  }
+
+  getGutter() {
+    return this._gutter ? Object.assign({}, this._gutter) : null;
+  }
+
+  // Shade the line holding the caret: true (default shade), a CSS color or false
+  setHighlightCurrentLine(on) {
+    this._currentLine = Notepad._currentLineOption(on);
+    this._applyLines();
+    this._render();
+  }
+
+  _formatLines(wanted, format) {
+    const patch = Notepad._lineFormat(format);
+    this._transact('line', () => {
+      const indices = [], before = [], after = [];
+      let n = 0;
+      for (let i = 0; i < this.doc.length; i++) {
+        const prev = this.doc[i];
+        if (prev.text !== '\n') continue;
+        if (wanted(n++)) {
+          const applied = this._updateItem(i, { style: this._mergeLetterStyle(prev.style, patch, Notepad.LINE_STYLE_KEYS) });
+          if (!applied) continue;
+          indices.push(i);
+          before.push({ color: prev.color, style: prev.style || null });
+          after.push({ color: applied.color, style: applied.style || null });
+        }
+      }
+      if (indices.length) this._record({ type: 'restyle', indices, before, after });
+      if (!wanted(n)) return;
+      this._trackSettings('line', () => {
+        this._lastLine = this._mergeLetterStyle(this._lastLine, patch, Notepad.LINE_STYLE_KEYS);
+        if (!this._virtual) this._styleLine(this.content.lastChild, this._lastLine);
+      });
+    });
+    this._render();
+    this._emitChange();
+  }
+
+  // Checked copy of a line format (null values kept: they remove a key when merged), or null
+  static _lineFormat(format) {
+    if (!format) return null;
+    const out = {};
+    for (const k of Notepad.LINE_STYLE_KEYS) {
+      const v = format[k];
+      if (v === undefined) continue;
+      const ok = v === null ||
+        (k === 'align' ? Notepad.LINE_ALIGNMENTS.indexOf(v) >= 0
+          : k === 'background' ? typeof v === 'string'
+            : k === 'spacing' ? (typeof v === 'number' && v > 0)
+              : (typeof v === 'number' && v >= 0));
+      if (!ok) throw new Error('Formato de línea no válido: ' + k + ' = ' + v);
+      out[k] = v;
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  // gutter option -> { width, color, background, currentColor } or null (off)
+  static _gutterOptions(g) {
+    if (!g) return null;
+    const o = (typeof g === 'object') ? g : {};
+    return {
+      width: (typeof o.width === 'number' && o.width > 0) ? o.width : null,
+      color: o.color || '#999999',
+      background: o.background || '#f3f3f3',
+      currentColor: o.currentColor || '#333333'
+    };
+  }
+
+  // highlightCurrentLine option -> shade color or null (off)
+  static _currentLineOption(on) {
+    if (!on) return null;
+    return (typeof on === 'string') ? on : 'rgba(0, 0, 0, 0.06)';
+  }
+
+  // Format of the line holding caret position pos (the style of the newline ending it)
+  _lineStyleAt(pos) {
+    const end = this._hardLineEnd(pos);
+    return end < this.doc.length ? (this.doc[end].style || null) : this._lastLine;
+  }
+
+  // Gutter / highlight classes and the format of every line div (flow mode)
+  _applyLines() {
+    const c = this.content;
+    const g = this._virtual ? null : this._gutter;
+    c.classList.toggle('notepad-gutter', !!g);
+    c.classList.toggle('notepad-highlight-line', !!this._currentLine && !this._virtual);
+    if (this._currentLine) c.style.setProperty('--np-current-line', this._currentLine);
+    if (g) {
+      c.style.setProperty('--np-gutter-color', g.color);
+      c.style.setProperty('--np-gutter-current', g.currentColor);
+      c.style.background = `linear-gradient(to right, ${g.background} var(--np-gutter-width), transparent var(--np-gutter-width))`;
+      c.style.minHeight = '100%';
+    } else {
+      Object.assign(c.style, { background: '', minHeight: '', paddingLeft: '' });
+    }
+    this._layoutCache = null;
+    if (this._virtual) return;
+    for (let i = 0; i < this.letterNodes.length; i++) {
+      if (this.letterNodes[i].tagName === 'BR') this._styleLine(this.letterNodes[i].parentNode, this.doc[i].style);
+    }
+    this._styleLine(c.lastChild, this._lastLine);
+    this._gutterDigits = 0; // size the gutter again (font size may have changed)
+    this._renderLines();
+  }
+
+  _styleLine(div, style) {
+    const f = style || {};
+    const cell = this._gridCell();
+    const h = cell ? cell.height : this._vLineHeight(); // letters are inline-blocks of this height
+    const spacing = (!cell && f.spacing) || 1;
+    const justify = !cell && f.align === 'justify';
+    // extra room per row: line-height on flowing lines, row gaps (half above, half below) on justified ones
+    const gap = Math.max(0, h * (spacing - 1));
+    div.classList.toggle('notepad-line-justify', justify);
+    Object.assign(div.style, {
+      background: f.background || '',
+      textAlign: (!cell && f.align && !justify) ? f.align : '',
+      paddingLeft: (!cell && f.indent) ? f.indent + 'px' : '',
+      lineHeight: (spacing !== 1 && !justify) ? (h * spacing) + 'px' : '',
+      rowGap: (justify && gap) ? gap + 'px' : '',
+      paddingTop: (justify && gap) ? (gap / 2) + 'px' : '',
+      paddingBottom: (justify && gap) ? (gap / 2) + 'px' : ''
+    });
+    div.style.setProperty('--np-row-height', (h + gap) + 'px');
+  }
+
+  // Current-line class on the caret's line and the gutter width (from the number of digits)
+  _renderLines() {
+    const line = (this._currentLine || this._gutter) ? this.cursor.parentNode : null;
+    if (line !== this._currentLineNode) {
+      if (this._currentLineNode) this._currentLineNode.classList.remove('notepad-line-current');
+      if (line) line.classList.add('notepad-line-current');
+      this._currentLineNode = line;
+    }
+    if (!this._gutter) return;
+    const digits = String(this.content.childElementCount).length;
+    if (digits === this._gutterDigits) return;
+    this._gutterDigits = digits;
+    const w = this._gutter.width || Math.ceil(digits * this.fontSize * 0.45 + 14);
+    this.content.style.setProperty('--np-gutter-width', w + 'px');
+    this.content.style.paddingLeft = w + 'px';
+    this._layoutCache = null;
+  }
+
+  // ---------------- Grid (cell) layout ----------------
+  // In grid mode the document is rows lines of exactly cols letters (empty cells hold transparent
+  // spaces) and every letter is drawn as a cell of one fixed size, so letter art stays aligned
+  // whatever the glyph widths, padding or margins. Edits keep the usual model; at the end of every
+  // local step _gridNormalize cuts long rows, pads short ones and restores the row count. Typing
+  // past the last column is dropped, Enter moves to the next row and deleting a selection clears
+  // its cells instead of joining rows.
+
+  // opts: { cols, rows, cellWidth?, cellHeight? } (cell size in px, by default from the font size
+  // and letter padding), or null to go back to flowing text. Switching on pads or cuts the current
+  // text into the grid; both directions are one undoable step.
+  setGrid(opts) {
+    const grid = Notepad._gridOptions(opts);
+    if (grid && this._virtual) throw new Error('El modo cuadrícula no es compatible con virtualize');
+    this._trackSettings('grid', () => {
+      this._grid = grid;
+      this._applyGrid();
+      this._applyLetterStyles();
+    });
+    this._render();
+    this._emitChange();
+  }
+
+  getGrid() {
+    return this._grid ? Object.assign({}, this._grid) : null;
+  }
+
+  // Letter in a grid cell ({ text, color, style? }), or null outside the grid
+  getCell(row, col) {
+    const i = this._cellIndex(row, col);
+    return i < 0 ? null : this._cloneItem(this.doc[i]);
+  }
+
+  // Replace the letter in a grid cell as one undoable step; without a color the color rules pick one
+  setCell(row, col, ch, color = null, style = null) {
+    const i = this._cellIndex(row, col);
+    if (i < 0) throw new Error('Celda fuera de la cuadrícula: ' + row + ', ' + col);
+    if (typeof ch !== 'string' || ch === '\n' || Array.from(ch).length !== 1) throw new Error('Una celda contiene exactamente un carácter');
+    this._transact('cell', () => {
+      if (this._removeItems(i, i + 1)) {
+        this._insertItems(i, [{ text: ch, color: color || this._getColorForChar(ch), style: this._mergeLetterStyle(null, style) }]);
+      }
+    });
+    this._render();
+    this._emitChange();
+  }
+
+  // Overwrite mode (the Insert key toggles it): typed and pasted letters replace the ones after the
+  // caret instead of pushing them right; on a grid, Backspace / Delete clear cells. Works without a
+  // grid too. Emits 'overwrite' with the new state.
+  setOverwrite(on) {
+    on = !!on;
+    if (on === this._overwrite) return;
+    this._overwrite = on;
+    this._styleCursor();
+    this._render();
+    this._emit('overwrite', on);
+  }
+
+  isOverwrite() {
+    return this._overwrite;
+  }
+
+  // grid option -> { cols, rows, cellWidth, cellHeight } (null sizes: from the font) or null (off)
+  static _gridOptions(grid) {
+    if (!grid) return null;
+    const count = (key) => {
+      if (!Number.isInteger(grid[key]) || grid[key] < 1) throw new Error('Cuadrícula no válida: ' + key + ' debe ser un entero positivo');
+      return grid[key];
+    };
+    const size = (key) => {
+      if (grid[key] === undefined || grid[key] === null) return null;
+      if (typeof grid[key] !== 'number' || !(grid[key] > 0)) throw new Error('Cuadrícula no válida: ' + key + ' debe ser un número positivo');
+      return grid[key];
+    };
+    return { cols: count('cols'), rows: count('rows'), cellWidth: size('cellWidth'), cellHeight: size('cellHeight') };
+  }
+
+  // Cell size in px ({ width, height }), or null without a grid
+  _gridCell() {
+    const g = this._grid;
+    if (!g) return null;
+    return {
+      width: g.cellWidth || Math.round(this.fontSize * 0.6 + 2 * this._letterPadX),
+      height: g.cellHeight || Math.round(this.fontSize * 1.2 + 2 * this._letterPadY)
+    };
+  }
+
+  // Container flow for the current mode: grid rows never wrap and are exactly one cell tall
+  // (the letters get their cell boxes from _styleLetterSpan)
+  _applyGrid() {
+    Object.assign(this.container.style, {
+      whiteSpace: this._grid ? 'pre' : 'pre-wrap',
+      lineHeight: this._grid ? '0' : '1.5'
+    });
+    this._styleCursor();
+    this._layoutCache = null;
+  }
+
+  // Doc index of a cell, or -1 (no grid or outside it); rows are cols letters + a newline
+  _cellIndex(row, col) {
+    const g = this._grid;
+    if (!g || !Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 || row >= g.rows || col >= g.cols) return -1;
+    return row * (g.cols + 1) + col;
+  }
+
+  _gridBlanks(n) {
+    const out = [];
+    for (let k = 0; k < n; k++) out.push({ text: ' ', color: 'transparent' });
+    return out;
+  }
+
+  // Back to rows lines of exactly cols letters: long rows are cut at the last column, short ones
+  // padded with blanks, missing rows added and extra ones dropped. The primary caret and selection
+  // follow the edits (the model primitives already move the extra carets).
+  _gridNormalize() {
+    const { cols, rows } = this._grid;
+    const follow = (move) => {
+      this.cursorPos = move(this.cursorPos);
+      if (this.selectionStart !== null) this.selectionStart = move(this.selectionStart);
+      if (this.selectionEnd !== null) this.selectionEnd = move(this.selectionEnd);
+    };
+    const remove = (start, end) => {
+      if (this._removeItems(start, end)) follow(this._positionShifter(start, end, 0));
+    };
+    const insert = (index, items) => {
+      const n = this._insertItems(index, items);
+      if (n) follow(this._positionShifter(index, index, n));
+    };
+    let start = 0;
+    for (let row = 0; row < rows && start <= this.doc.length; row++) {
+      let end = this._hardLineEnd(start);
+      if (end - start > cols) remove(start + cols, end);
+      else if (end - start < cols) insert(end, this._gridBlanks(cols - (end - start)));
+      end = this._hardLineEnd(start);
+      if (row === rows - 1) {
+        if (end < this.doc.length) remove(end, this.doc.length);
+      } else if (end === this.doc.length) {
+        insert(end, [{ text: '\n', color: null }]);
+      }
+      start = end + 1;
+    }
+  }
+
+  // Grid mode: caret to column col of the next row. While an empty grid is being filled (e.g. by
+  // setFromPlainText) the missing rows are added; below the last row the caret goes to the end of
+  // the (padded) row, so the rest of the text is dropped.
+  _gridNextRow(col) {
+    const start = this._hardLineStart(this.cursorPos);
+    const end = this._hardLineEnd(start);
+    if (end === this.doc.length) {
+      let rows = 1;
+      for (const item of this.doc) if (item.text === '\n') rows++;
+      if (rows >= this._grid.rows || !this._insertItems(end, [{ text: '\n', color: null }])) {
+        this._insertItems(end, this._gridBlanks(this._grid.cols - (end - start)));
+        this.cursorPos = this._hardLineEnd(start);
+        return;
+      }
+    }
+    this.cursorPos = Math.min(end + 1 + col, this._hardLineEnd(end + 1));
+  }
+
+  // Remove letters [start, end); on a grid the cells are cleared instead, so no row moves
+  _deleteRange(start, end) {
+    if (!this._grid) { this._removeItems(start, end); return; }
+    for (let i = start; i < end;) {
+      if (this.doc[i].text === '\n') { i++; continue; }
+      const j = Math.min(end, this._hardLineEnd(i));
+      if (this._removeItems(i, j)) this._insertItems(i, this._gridBlanks(j - i));
+      i = j;
+    }
+  }
+
+  // Backspace (dir -1) / Delete (dir 1) at the caret when nothing is selected. Grid rows are never
+  // joined, and in overwrite mode a grid cell is cleared instead of closing the gap.
+  _deleteNextTo(dir) {
+    const i = dir < 0 ? this.cursorPos - 1 : this.cursorPos;
+    if (i < 0 || i >= this.doc.length) return;
+    if (this._grid && this.doc[i].text === '\n') return;
+    if (this._grid && this._overwrite) this._deleteRange(i, i + 1);
+    else if (!this._removeItems(i, i + 1)) return;
+    if (dir < 0) this.cursorPos = i;
+  }
+
+  // ---------------- Find / replace ----------------
+  // Matches are { start, end } ranges over doc / letterNodes. While a search is active they are
+  // recomputed after every edit (see _render) and highlighted with 'notepad-letter-match'
+  // ('notepad-letter-match-current' for the one findNext / findPrevious stepped to).
+
+  // opts: { regex: false, caseSensitive: false, wholeWord: false }. query may also be a RegExp.
+  find(query, opts = {}) {
+    if (query === '' || query === null || typeof query === 'undefined') { this.clearFind(); return []; }
+    this._search = { re: this._compileSearch(query, opts), query, opts: Object.assign({}, opts), matches: [], current: -1, stale: true };
+    this._refreshSearch();
+    this._paintMatches();
+    this._emit('find', this.getFindState());
+    return this.getMatches();
+  }
+
+  getMatches() {
+    return this._search ? this._search.matches.map(m => ({ start: m.start, end: m.end })) : [];
+  }
+
+  // { query, matches, current } (current: index into matches or -1), null without a search
+  getFindState() {
+    const s = this._search;
+    return s ? { query: s.query, matches: s.matches.length, current: s.current } : null;
+  }
+
+  // Select the next / previous match (wrapping around) and return it, or null when nothing matches.
+  // The first step after find() goes from the caret.
+  findNext() { return this._stepMatch(1); }
+  findPrevious() { return this._stepMatch(-1); }
+
+  clearFind() {
+    if (!this._search) return;
+    this._search = null;
+    this._paintMatches();
+    this._emit('find', null);
+  }
+
+  // Replace the selected match (or the next one after the caret) and select the following match.
+  // opts.colors: 'keep' (default; letter k takes the color / style of replaced letter k, the last
+  // one for extra letters) or 'rules' (colors from the current color rules, like typed text).
+  // With regex searches the replacement understands $&, $1..$99, $<name> and $$.
+  replace(replacement, opts = {}) {
+    const s = this._search;
+    if (!s) return null;
+    this._refreshSearch();
+    const sel = this._getSelectionRange();
+    let m = sel ? s.matches.find(x => x.start === sel.start && x.end === sel.end) : null;
+    if (!m) m = s.matches.find(x => x.start >= this.cursorPos) || s.matches[0];
+    if (!m) return null;
+    let end = m.start;
+    this._transact('replace', () => {
+      this._clearSelection();
+      end = this._replaceMatch(m, 0, replacement, opts);
+      this.cursorPos = end;
+    });
+    this._refreshSearch();
+    s.current = s.matches.findIndex(x => x.start >= end) - 1;
+    if (s.current < -1) s.current = s.matches.length - 1;
+    const next = this._stepMatch(1);
+    this._render();
+    this._emitChange();
+    return next;
+  }
+
+  // Replace every match as one undoable step; returns the number of replacements
+  replaceAll(replacement, opts = {}) {
+    const s = this._search;
+    if (!s) return 0;
+    this._refreshSearch();
+    const matches = s.matches.slice();
+    if (!matches.length) return 0;
+    this._transact('replace', () => {
+      this._clearSelection();
+      let delta = 0, end = 0;
+      for (const m of matches) {
+        end = this._replaceMatch(m, delta, replacement, opts);
+        delta = end - m.end;
+      }
+      this.cursorPos = end;
+    });
+    this._refreshSearch();
+    s.current = -1;
+    this._paintMatches();
+    this._render();
+    this._emitChange();
+    this._emit('find', this.getFindState());
+    return matches.length;
+  }
+
+  _compileSearch(query, opts) {
+    let source, flags = 'gm';
+    if (query instanceof RegExp) {
+      source = query.source;
+      flags += query.flags.replace(/[gmy]/g, '');
+    } else {
+      source = opts.regex ? String(query) : String(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (!opts.caseSensitive) flags += 'i';
+    }
+    if (opts.wholeWord) {
+      // Unicode letter / digit boundaries need the u flag, which a caller's pattern may not be valid
+      // with (e.g. /\-/): it is only added to escaped plain strings; otherwise the boundary is ASCII
+      // word characters plus the Latin letters
+      const plain = !(query instanceof RegExp) && !opts.regex;
+      if (plain) flags += 'u';
+      const word = flags.indexOf('u') >= 0 ? '\\p{L}\\p{N}_' : '\\w\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u024F';
+      source = '(?<![' + word + '])(?:' + source + ')(?![' + word + '])';
+    }
+    try {
+      return new RegExp(source, flags);
+    } catch (e) {
+      throw new Error('Búsqueda no válida: ' + e.message);
+    }
+  }
+
+  // Re-run the search over the current document (only after edits, see _insertItems / _removeItems)
+  _refreshSearch() {
+    const s = this._search;
+    if (!s || !s.stale) return;
+    s.stale = false;
+    const text = this.getPlainText();
+    // string offset -> letter index (only differs when letters are astral characters)
+    let toIndex = null;
+    if (text.length !== this.doc.length) {
+      toIndex = new Int32Array(text.length + 1);
+      let off = 0;
+      for (let i = 0; i < this.doc.length; i++) {
+        for (let k = 0; k < this.doc[i].text.length; k++) toIndex[off++] = i;
+      }
+      toIndex[off] = this.doc.length;
+    }
+    const at = (off) => toIndex ? toIndex[off] : off;
+    const prev = s.matches[s.current];
+    s.matches = [];
+    s.re.lastIndex = 0;
+    let m;
+    while ((m = s.re.exec(text))) {
+      if (!m[0].length) { s.re.lastIndex++; continue; }
+      s.matches.push({ start: at(m.index), end: at(m.index + m[0].length), exec: m });
+    }
+    if (s.current >= 0) {
+      // keep stepping from the same place after an edit
+      s.current = prev ? s.matches.findIndex(x => x.end > prev.start) : -1;
+      if (s.current < 0 && s.matches.length) s.current = s.matches.length - 1;
+    }
+  }
+
+  _stepMatch(dir) {
+    const s = this._search;
+    if (!s) return null;
+    this._refreshSearch();
+    const n = s.matches.length;
+    if (!n) { s.current = -1; this._paintMatches(); return null; }
+    if (s.current < 0) {
+      // first step goes from the caret
+      const i = s.matches.findIndex(x => x.start >= this.cursorPos);
+      s.current = dir > 0 ? (i < 0 ? 0 : i) : ((i < 0 ? n : i) - 1 + n) % n;
+    } else {
+      s.current = (s.current + dir + n) % n;
+    }
+    const m = s.matches[s.current];
+    this.selectionStart = m.start;
+    this.selectionEnd = m.end;
+    this.cursorPos = m.end;
+    this._paintMatches();
+    this._render();
+    this._emit('find', this.getFindState());
+    return { start: m.start, end: m.end };
+  }
+
+  // Swap match m (positions shifted by delta) for the replacement; returns the index after it
+  _replaceMatch(m, delta, replacement, opts) {
+    const s = this._search;
+    const start = m.start + delta, end = m.end + delta;
+    const text = (s.opts.regex || s.query instanceof RegExp) ? this._expandReplacement(String(replacement), m.exec) : String(replacement);
+    const removed = this.doc.slice(start, end).filter(item => item.text !== '\n');
+    const items = [];
+    let k = 0;
+    for (const ch of text) {
+      if (ch === '\n') { items.push({ text: '\n', color: null }); continue; }
+      if (opts.colors === 'rules' || !removed.length) {
+        items.push({ text: ch, color: this._getColorForChar(ch) });
+      } else {
+        const src = removed[Math.min(k++, removed.length - 1)];
+        const item = { text: ch, color: src.color };
+        if (src.style) item.style = src.style;
+        items.push(item);
+      }
+    }
+    this._removeItems(start, end);
+    return start + this._insertItems(start, items);
+  }
+
+  // String.prototype.replace substitutions for one exec() result
+  _expandReplacement(str, m) {
+    return str.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (tok, what, name) => {
+      if (what === '$') return '$';
+      if (what === '&') return m[0];
+      if (typeof name !== 'undefined') return (m.groups && m.groups[name] !== undefined) ? m.groups[name] : '';
+      const n = parseInt(what, 10);
+      return (n > 0 && n < m.length) ? (m[n] || '') : tok;
+    });
+  }
+
+  // Sync the match classes of the materialized letters with the current search
+  _paintMatches() {
+    for (const n of this._paintedMatches || []) n.classList.remove('notepad-letter-match', 'notepad-letter-match-current');
+    this._paintedMatches = [];
+    const s = this._search;
+    if (!s) return;
+    s.matches.forEach((m, mi) => {
+      for (let i = m.start; i < m.end; i++) {
+        const n = this.letterNodes[i];
+        if (!n || n.tagName === 'BR') continue;
+        n.classList.add('notepad-letter-match');
+        if (mi === s.current) n.classList.add('notepad-letter-match-current');
+        this._paintedMatches.push(n);
+      }
+    });
+    if (this._findBar) this._updateFindBar();
+  }
+
+  // Minimal find bar (Ctrl+F, Ctrl+H with the replace row). Enter / Shift+Enter step, Escape closes.
+  openFindBar(opts = {}) {
+    if (!this._findBar) this._buildFindBar();
+    const bar = this._findBar;
+    bar.root.style.display = 'flex';
+    bar.replaceRow.style.display = opts.replace ? 'flex' : 'none';
+    const range = this._getSelectionRange();
+    if (range && range.end - range.start < 200) {
+      const text = this.doc.slice(range.start, range.end).map(item => item.text).join('');
+      if (text.indexOf('\n') < 0) bar.query.value = text;
+    }
+    this._runFindBar();
+    try { bar.query.focus(); bar.query.select(); } catch (e) { }
+  }
+
+  closeFindBar() {
+    if (!this._findBar) return;
+    this._findBar.root.style.display = 'none';
+    this.clearFind();
+    this.focus();
+  }
+
+  _buildFindBar() {
+    const root = document.createElement('div');
+    root.className = 'notepad-findbar';
+    Object.assign(root.style, { display: 'none', flexDirection: 'column', gap: '4px', padding: '4px', font: '13px system-ui, sans-serif', background: '#f4f4f4', border: '1px solid #ccc', borderBottom: 'none' });
+    const row = () => {
+      const r = document.createElement('div');
+      Object.assign(r.style, { display: 'flex', gap: '4px', alignItems: 'center' });
+      root.appendChild(r);
+      return r;
+    };
+    const input = (placeholder) => { const i = document.createElement('input'); i.type = 'text'; i.placeholder = placeholder; return i; };
+    const button = (text, title, fn) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = text;
+      b.title = title;
+      b.addEventListener('click', fn);
+      return b;
+    };
+    const toggle = (text, title) => {
+      const l = document.createElement('label');
+      l.title = title;
+      const c = document.createElement('input');
+      c.type = 'checkbox';
+      c.addEventListener('change', () => this._runFindBar());
+      l.append(c, text);
+      return { label: l, box: c };
+    };
+
+    const findRow = row();
+    const query = input('Buscar');
+    const count = document.createElement('span');
+    const caseSensitive = toggle('Aa', 'Mayúsculas / minúsculas');
+    const wholeWord = toggle('ab', 'Palabra completa');
+    const regex = toggle('.*', 'Expresión regular');
+    findRow.append(query, count, caseSensitive.label, wholeWord.label, regex.label,
+      button('↑', 'Anterior (Shift+Enter)', () => this.findPrevious()),
+      button('↓', 'Siguiente (Enter)', () => this.findNext()),
+      button('×', 'Cerrar (Escape)', () => this.closeFindBar()));
+
+    const replaceRow = row();
+    const replacement = input('Reemplazar');
+    replaceRow.append(replacement,
+      button('Reemplazar', 'Reemplazar', () => this.replace(replacement.value)),
+      button('Todo', 'Reemplazar todo', () => this.replaceAll(replacement.value)));
+
+    query.addEventListener('input', () => this._runFindBar());
+    const onKey = (e) => {
+      if (e.key === 'Escape') { e.preventDefault(); this.closeFindBar(); return; }
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.target === replacement) this.replace(replacement.value);
+        else if (e.shiftKey) this.findPrevious();
+        else this.findNext();
+      }
+    };
+    query.addEventListener('keydown', onKey);
+    replacement.addEventListener('keydown', onKey);
+
+    this.container.parentNode.insertBefore(root, this.container);
+    this._findBar = { root, replaceRow, query, replacement, count, caseSensitive: caseSensitive.box, wholeWord: wholeWord.box, regex: regex.box };
+  }
+
+  _runFindBar() {
+    const bar = this._findBar;
+    try {
+      this.find(bar.query.value, { caseSensitive: bar.caseSensitive.checked, wholeWord: bar.wholeWord.checked, regex: bar.regex.checked });
+      bar.query.style.outline = '';
+    } catch (e) {
+      // invalid regex while typing it
+      this.clearFind();
+      bar.query.style.outline = '1px solid red';
+    }
+    this._updateFindBar();
+  }
+
+  _updateFindBar() {
+    const s = this._search;
+    this._findBar.count.textContent = s ? ((s.current + 1) + '/' + s.matches.length) : '';
+  }
+
+  // ---------------- Collaborative editing (real-time sync) ----------------
+  // connect() shares the document with other instances over a transport: any object with
+  // send(message), onMessage(handler) and optionally close() (see Notepad.sync). Every letter gets
+  // a unique id ('clock@site') in a replicated sequence (RGA): an insert names the letter it
+  // follows, concurrent inserts at the same place are ordered by id, deletes leave tombstones and
+  // restyles are last-writer-wins per letter, so all peers converge whatever the delivery order.
+  // The peer that connected first holds the reference document; a peer that joins adopts it.
+
+  // opts: { site, name, color } (color of this caret on the other peers). Returns the site id.
+  connect(transport, opts = {}) {
+    if (!transport || typeof transport.send !== 'function' || typeof transport.onMessage !== 'function') {
+      throw new Error('Transporte no válido: se espera { send(message), onMessage(handler) }');
+    }
+    if (this._sync) this.disconnect();
+    const site = String(opts.site || Math.random().toString(36).slice(2, 10));
+    const s = this._sync = {
+      transport,
+      site,
+      name: opts.name || site,
+      color: opts.color || Notepad._peerColor(site),
+      since: Date.now(),
+      clock: 0,
+      seq: [], // nodes { id, ts: [clock, site], origin, item, deleted, stamp } in document order
+      byId: new Map(),
+      pending: [], // remote messages that refer to letters not received yet
+      peers: new Map(), // site -> { site, name, color, head, anchor }
+      fresh: true, // nothing edited or received yet: an older peer's document replaces ours
+      sentCaret: null,
+      onChange: (e) => this._syncLocal(e)
+    };
+    // the current content becomes this site's letters
+    let origin = null;
+    for (const item of this.doc) {
+      const node = this._syncNode(++s.clock, site, origin, item);
+      s.seq.push(node);
+      s.byId.set(node.id, node);
+      origin = node.id;
+    }
+    transport.onMessage((message) => this._syncReceive(message));
+    this.on('change', s.onChange);
+    this._syncSend({ type: 'hello', name: s.name, color: s.color, since: s.since });
+    this._syncPresence(true);
+    return site;
+  }
+
+  disconnect() {
+    const s = this._sync;
+    if (!s) return;
+    this._syncSend({ type: 'bye' });
+    this.off('change', s.onChange);
+    try {
+      s.transport.onMessage(() => { });
+      if (typeof s.transport.close === 'function') s.transport.close();
+    } catch (e) { }
+    this._sync = null;
+    this._renderPeers();
+    this._emit('peers', []);
+  }
+
+  isConnected() { return !!this._sync; }
+
+  // Other peers with their caret: [{ site, name, color, caret: { pos, anchor } | null }]
+  getPeers() {
+    if (!this._sync) return [];
+    return Array.from(this._sync.peers.values()).map(p => {
+      const pos = this._syncPosAfter(p.head);
+      const anchor = (typeof p.anchor === 'undefined') ? null : this._syncPosAfter(p.anchor);
+      return { site: p.site, name: p.name, color: p.color, caret: pos === null ? null : { pos, anchor } };
+    });
+  }
+
+  _syncSend(message) {
+    message.site = this._sync.site;
+    try { this._sync.transport.send(message); } catch (e) { console.error(e); }
+  }
+
+  _syncNode(clock, site, origin, item) {
+    const ts = [clock, site];
+    return { id: `${clock}@${site}`, ts, origin, item: this._cloneItem(item), deleted: false, stamp: ts };
+  }
+
+  _syncWire(node) {
+    return { id: node.id, origin: node.origin, item: node.item, deleted: node.deleted, stamp: node.stamp };
+  }
+
+  _syncFromWire(w) {
+    const at = w.id.indexOf('@');
+    const ts = [Number(w.id.slice(0, at)), w.id.slice(at + 1)];
+    return { id: w.id, ts, origin: w.origin, item: this._cloneItem(w.item), deleted: !!w.deleted, stamp: w.stamp || ts };
+  }
+
+  // Order of ids / stamps: Lamport clock, then site
+  _syncCompare(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : (a[1] > b[1] ? 1 : 0);
+  }
+
+  // Place a node after its origin, past the newer nodes already there; returns its position in seq.
+  // hint: expected position (right after the previous node of a run)
+  _syncIntegrate(node, hint = -1) {
+    const s = this._sync;
+    let i = 0;
+    if (node.origin !== null) {
+      i = (hint > 0 && s.seq[hint - 1] && s.seq[hint - 1].id === node.origin) ? hint : s.seq.indexOf(s.byId.get(node.origin)) + 1;
+    }
+    while (i < s.seq.length && this._syncCompare(s.seq[i].ts, node.ts) > 0) i++;
+    s.seq.splice(i, 0, node);
+    s.byId.set(node.id, node);
+    this._syncWitness(node.ts);
+    this._syncWitness(node.stamp);
+    return i;
+  }
+
+  // Lamport rule: move the local clock past every stamp received, so the next local stamp is newer
+  _syncWitness(stamp) {
+    const s = this._sync;
+    if (stamp && stamp[0] > s.clock) s.clock = stamp[0];
+  }
+
+  // seq position of the k-th visible letter
+  _syncVisibleAt(k) {
+    const seq = this._sync.seq;
+    for (let i = 0; i < seq.length; i++) {
+      if (seq[i].deleted) continue;
+      if (k-- === 0) return i;
+    }
+    return -1;
+  }
+
+  // Number of visible letters before seq position i
+  _syncVisibleBefore(i) {
+    const seq = this._sync.seq;
+    let n = 0;
+    for (let j = 0; j < i; j++) if (!seq[j].deleted) n++;
+    return n;
+  }
+
+  // Caret position right after the letter with this id (null: start of the document), or null
+  // when the letter is unknown
+  _syncPosAfter(id) {
+    if (id === null) return 0;
+    const s = this._sync;
+    const node = s.byId.get(id);
+    if (!node) return null;
+    const i = s.seq.indexOf(node);
+    return this._syncVisibleBefore(i) + (node.deleted ? 0 : 1);
+  }
+
+  _syncIdBefore(pos) {
+    return pos > 0 ? this._sync.seq[this._syncVisibleAt(pos - 1)].id : null;
+  }
+
+  // Local 'change' events -> messages for the peers
+  _syncLocal(e) {
+    const s = this._sync;
+    if (!s || e.source === 'remote') return;
+    s.fresh = false;
+    for (const op of e.ops) {
+      if (op.type === 'insert') {
+        // new letters have the highest clock: they go right after their origin
+        const at = op.index ? this._syncVisibleAt(op.index - 1) + 1 : 0;
+        let origin = op.index ? s.seq[at - 1].id : null;
+        const nodes = op.items.map(item => {
+          const node = this._syncNode(++s.clock, s.site, origin, item);
+          origin = node.id;
+          s.byId.set(node.id, node);
+          return node;
+        });
+        this._splice(s.seq, at, 0, nodes);
+        this._syncSend({ type: 'ins', nodes: nodes.map(node => this._syncWire(node)) });
+      } else if (op.type === 'delete') {
+        const ids = [];
+        let left = op.end - op.start;
+        for (let i = this._syncVisibleAt(op.start); left > 0 && i < s.seq.length; i++) {
+          if (s.seq[i].deleted) continue;
+          s.seq[i].deleted = true;
+          ids.push(s.seq[i].id);
+          left--;
+        }
+        this._syncSend({ type: 'del', ids });
+      } else {
+        const visible = s.seq.filter(node => !node.deleted);
+        const changes = op.indices.map((idx, k) => {
+          const node = visible[idx];
+          const after = op.after[k];
+          node.stamp = [++s.clock, s.site];
+          node.item = this._cloneItem({ text: node.item.text, color: after.color, style: ('style' in after) ? after.style : node.item.style });
+          return { id: node.id, color: node.item.color, style: node.item.style || null, stamp: node.stamp };
+        });
+        this._syncSend({ type: 'style', changes });
+      }
+    }
+    this._syncPresence();
+    this._renderPeers();
+  }
+
+  _syncReceive(message) {
+    const s = this._sync;
+    if (!s || !message || message.site === s.site || (message.to && message.to !== s.site)) return;
+    try {
+      switch (message.type) {
+        case 'hello':
+          this._syncPeer(message);
+          this._syncSend({ type: 'state', to: message.site, since: s.since, nodes: s.seq.map(node => this._syncWire(node)) });
+          this._syncPresence(true);
+          break;
+        case 'state':
+          this._syncState(message);
+          break;
+        case 'presence':
+          this._syncPeer(message);
+          this._renderPeers();
+          break;
+        case 'bye':
+          if (s.peers.delete(message.site)) {
+            this._renderPeers();
+            this._emit('peers', this.getPeers());
+          }
+          break;
+        case 'ins':
+        case 'del':
+        case 'style':
+          s.pending.push(message);
+          this._syncFlush();
+          break;
+      }
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  _syncPeer(message) {
+    const s = this._sync;
+    let peer = s.peers.get(message.site);
+    const added = !peer;
+    if (added) {
+      peer = { site: message.site, name: message.site, color: Notepad._peerColor(message.site), head: undefined, anchor: undefined };
+      s.peers.set(message.site, peer);
+    }
+    if (message.name) peer.name = message.name;
+    if (message.color) peer.color = message.color;
+    if (message.type === 'presence') {
+      peer.head = message.head;
+      peer.anchor = message.anchor;
+    }
+    if (added) this._emit('peers', this.getPeers());
+  }
+
+  // Apply the pending messages whose letters are all known, in arrival order
+  _syncFlush() {
+    const s = this._sync;
+    for (let k = 0; k < s.pending.length; k++) {
+      if (!this._syncReady(s.pending[k])) continue;
+      const message = s.pending.splice(k, 1)[0];
+      s.fresh = false;
+      this._applyRemote(() => this._syncApply(message));
+      k = -1;
+    }
+  }
+
+  _syncReady(message) {
+    const known = this._sync.byId;
+    if (message.type === 'ins') {
+      const ids = new Set();
+      return message.nodes.every(w => {
+        ids.add(w.id);
+        return w.origin === null || known.has(w.origin) || ids.has(w.origin);
+      });
+    }
+    if (message.type === 'del') return message.ids.every(id => known.has(id));
+    return message.changes.every(c => known.has(c.id));
+  }
+
+  // Apply a ready message to seq and the document (inside _applyRemote)
+  _syncApply(message) {
+    const s = this._sync;
+    if (message.type === 'ins') {
+      // consecutive letters are inserted as one run
+      let run = null, last = -1, lastVisible = 0;
+      const flush = () => { if (run) this._remoteEdit(run.index, 0, run.items); run = null; };
+      for (const w of message.nodes) {
+        if (s.byId.has(w.id)) continue;
+        const node = this._syncFromWire(w);
+        const at = this._syncIntegrate(node, last + 1);
+        const v = (last >= 0 && at === last + 1) ? lastVisible + (s.seq[last].deleted ? 0 : 1) : this._syncVisibleBefore(at);
+        last = at;
+        lastVisible = v;
+        if (node.deleted) continue;
+        if (run && v === run.index + run.items.length) { run.items.push(node.item); continue; }
+        flush();
+        run = { index: v, items: [node.item] };
+      }
+      flush();
+    } else if (message.type === 'del') {
+      for (const id of message.ids) {
+        const node = s.byId.get(id);
+        if (!node || node.deleted) continue; // unknown letter (e.g. dropped when we adopted a state)
+        const v = this._syncVisibleBefore(s.seq.indexOf(node));
+        node.deleted = true;
+        this._remoteEdit(v, 1, null);
+      }
+    } else {
+      for (const c of message.changes) {
+        const node = s.byId.get(c.id);
+        this._syncWitness(c.stamp);
+        if (!node || this._syncCompare(c.stamp, node.stamp) <= 0) continue;
+        node.stamp = c.stamp;
+        node.item = this._cloneItem({ text: node.item.text, color: c.color, style: c.style });
+        if (!node.deleted) this._updateItem(this._syncVisibleBefore(s.seq.indexOf(node)), { color: c.color, style: c.style || null });
+      }
+    }
+  }
+
+  // Full document from a peer (reply to our 'hello'): adopted when we just joined, merged otherwise
+  _syncState(message) {
+    const s = this._sync;
+    const older = message.since < s.since || (message.since === s.since && message.site < s.site);
+    if (!older) return; // a newer peer adopts our document instead
+    const adopt = s.fresh;
+    s.fresh = false;
+    this._applyRemote(() => {
+      if (adopt) {
+        s.seq = [];
+        s.byId = new Map();
+        s.pending = [];
+        if (this.doc.length) this._remoteEdit(0, this.doc.length, null);
+      }
+      this._syncApply({ type: 'ins', nodes: message.nodes });
+      // tombstones and styles of the letters we already had
+      this._syncApply({ type: 'del', ids: message.nodes.filter(w => w.deleted).map(w => w.id) });
+      this._syncApply({
+        type: 'style',
+        changes: message.nodes.map(w => ({ id: w.id, color: w.item.color || null, style: w.item.style || null, stamp: w.stamp }))
+      });
+    });
+    if (adopt) {
+      this.clearHistory();
+      this._syncPresence(true);
+    }
+    this._syncFlush();
+  }
+
+  // Apply changes that came from a peer: no undo step, no 'beforechange' (vetoing a peer would make
+  // the copies diverge) and no color rules (the letters arrive colored). Reported as source 'remote'.
+  _applyRemote(fn) {
+    if (this._changes.length) this._emitChange(); // local ops first, so they reach the peers in order
+    const s = this._sync;
+    const announced = s.sentCaret === this._syncCaretKey();
+    this._applyingRemote = true;
+    try {
+      fn();
+    } finally {
+      this._applyingRemote = false;
+      this._rulesDirty = null;
+    }
+    this._normalizeCarets();
+    // the caret only moved with the letters around it: its ids are unchanged, nothing to announce
+    if (announced) s.sentCaret = this._syncCaretKey();
+    this._withSource('remote', () => {
+      this._render();
+      this._emitChange();
+    });
+    this._renderPeers();
+  }
+
+  // One remote edit (removeCount letters at index, or items inserted at index); the local caret
+  // and the undo history move around it
+  _remoteEdit(index, removeCount, items) {
+    if (removeCount) this._removeItems(index, index + removeCount);
+    else this._insertItems(index, items);
+    const move = this._positionShifter(index, index + removeCount, removeCount ? 0 : items.length);
+    const keepScroll = this._lastRenderedCursor === this.cursorPos;
+    this.cursorPos = move(this.cursorPos);
+    if (this.selectionStart !== null) this.selectionStart = move(this.selectionStart);
+    if (this.selectionEnd !== null) this.selectionEnd = move(this.selectionEnd);
+    if (keepScroll) this._lastRenderedCursor = this.cursorPos;
+    this._rebaseHistory(index, removeCount, removeCount ? 0 : items.length);
+  }
+
+  // A peer's edit moved the positions the undo history refers to. Walk the steps from the newest
+  // back, carrying the edit's position into each op's coordinates and moving the ops after it.
+  // Local steps that overlap the edit (a peer typed inside our insertion, or deleted letters we
+  // touched) can no longer be undone safely: the history is cleared then. Redo is always dropped.
+  _rebaseHistory(index, removed, inserted) {
+    this._redoStack = [];
+    const shiftState = (st, p) => {
+      const move = this._positionShifter(p, p + removed, inserted);
+      const mv = (v) => (v === null ? null : move(v));
+      return {
+        cursorPos: mv(st.cursorPos),
+        selectionStart: mv(st.selectionStart),
+        selectionEnd: mv(st.selectionEnd),
+        carets: (st.carets || []).map(c => ({ pos: mv(c.pos), anchor: mv(c.anchor) }))
+      };
+    };
+    let p = index; // position of the edit in the coordinates right after the op being visited
+    for (let e = this._undoStack.length - 1; e >= 0; e--) {
+      const entry = this._undoStack[e];
+      entry.after = shiftState(entry.after, p);
+      for (let j = entry.ops.length - 1; j >= 0; j--) {
+        const op = entry.ops[j];
+        if (op.type === 'settings') continue;
+        if (op.type === 'insert' || op.type === 'delete') {
+          const q = op.index, k = op.items.length;
+          if (removed ? p + removed <= q : p <= q) op.index += inserted - removed;
+          else if (op.type === 'insert' && p >= q + k) p -= k; // the op's letters sit before the edit
+          else if (op.type === 'delete' && p >= q) p += k;
+          else { this.clearHistory(); return; }
+          continue;
+        }
+        // recolor / restyle: indices of letters; the ones the peer deleted are dropped
+        const keep = op.indices.map((idx, k) => k).filter(k => !removed || op.indices[k] < p || op.indices[k] >= p + removed);
+        op.indices = keep.map(k => {
+          const idx = op.indices[k];
+          return idx >= p + removed ? idx + inserted - removed : idx;
+        });
+        op.before = keep.map(k => op.before[k]);
+        op.after = keep.map(k => op.after[k]);
+      }
+      entry.before = shiftState(entry.before, p);
+    }
+  }
+
+  // Send the local caret / selection (as letter ids) when it changed; force: send anyway
+  _syncPresence(force) {
+    const s = this._sync;
+    // letter ids are known once the pending local ops went through _syncLocal
+    if (!s || this._changes.length) return;
+    const key = this._syncCaretKey();
+    if (!force && key === s.sentCaret) return;
+    s.sentCaret = key;
+    const c = this._primaryCaret();
+    const message = { type: 'presence', name: s.name, color: s.color, head: this._syncIdBefore(c.pos) };
+    if (c.anchor !== null) message.anchor = this._syncIdBefore(c.anchor);
+    this._syncSend(message);
+  }
+
+  _syncCaretKey() {
+    const c = this._primaryCaret();
+    return `${c.pos},${c.anchor}`;
+  }
+
+  // Caret elements of the peers (colored copies of the local caret) and the highlight of their selections
+  _renderPeers() {
+    const peers = this._sync ? Array.from(this._sync.peers.values()).filter(p => typeof p.head !== 'undefined') : [];
+    const nodes = this._peerNodes;
+    while (nodes.length > peers.length) nodes.pop().remove();
+    while (nodes.length < peers.length) {
+      const n = document.createElement('span');
+      n.className = 'notepad-cursor notepad-cursor-remote';
+      nodes.push(n);
+    }
+    for (const n of this._paintedPeerSelections) {
+      n.classList.remove('notepad-letter-remote');
+      n.style.removeProperty('--np-peer-color');
+    }
+    this._paintedPeerSelections = [];
+    peers.forEach((p, k) => {
+      const n = nodes[k];
+      const pos = this._syncPosAfter(p.head);
+      if (pos === null) { n.remove(); return; }
+      n.style.cssText = this.cursor.style.cssText;
+      n.style.backgroundColor = p.color;
+      n.style.animation = 'none';
+      n.title = p.name;
+      if (this._virtual) {
+        this._vPlaceCaret(n, pos);
+        if (n.parentNode !== this.content) this.content.appendChild(n);
+      } else {
+        this._placeInLine(n, pos);
+      }
+      const anchor = (typeof p.anchor === 'undefined') ? null : this._syncPosAfter(p.anchor);
+      if (anchor === null) return;
+      for (let i = Math.min(anchor, pos); i < Math.max(anchor, pos); i++) {
+        const letter = this.letterNodes[i];
+        if (!letter || letter.tagName === 'BR') continue;
+        letter.classList.add('notepad-letter-remote');
+        letter.style.setProperty('--np-peer-color', p.color);
+        this._paintedPeerSelections.push(letter);
+      }
+    });
+  }
+
+  static _peerColor(site) {
+    let h = 0;
+    for (const ch of String(site)) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+    const colors = Notepad.palettes.COLORBLIND_SAFE;
+    return colors[h % colors.length];
+  }
+
+  // ---------------- Audio (text as music) ----------------
+  // Every letter is one step: mapped letters sound at their noteMap pitch, spaces / newlines /
+  // unmapped characters are rests. Live playback and the WAV render share _scheduleNotes.
+  // opts: { tempo: 120 (bpm), beats: 0.5 (beats per step), waveform: 'sine' | 'square' | 'sawtooth' |
+  //         'triangle', volume: 0.3, newlineRest: 2 (steps), range: { start, end } }
+
+  setNoteMap(map) { this.noteMap = map || Notepad.DEFAULT_NOTE_MAP; }
+
+  // Plays the selection (or opts.range, or the whole document). Resolves when it ends or is stopped.
+  // The sounding letter gets the 'notepad-letter-playing' class and a 'note' event is emitted.
+  play(opts = {}) {
+    this.stop();
+    const AC = window.AudioContext || window.webkitAudioContext;
+    if (!AC) return Promise.reject(new Error('Web Audio no disponible.'));
+    const events = this._noteEvents(opts);
+    const ctx = new AC();
+    const t0 = ctx.currentTime + 0.05;
+    this._scheduleNotes(ctx, ctx.destination, events, t0, opts);
+    const end = t0 + this._eventsDuration(events);
+
+    return new Promise((resolve) => {
+      const pb = { ctx, events, t0, current: -1, node: null, frame: 0, resolve };
+      this._playback = pb;
+      const tick = () => {
+        if (this._playback !== pb) return;
+        const t = ctx.currentTime;
+        if (t >= end) { this.stop(); return; }
+        let k = pb.current;
+        while (k + 1 < events.length && events[k + 1].time + t0 <= t) k++;
+        if (k !== pb.current) {
+          pb.current = k;
+          this._setPlayhead(pb, events[k]);
+        }
+        pb.frame = requestAnimationFrame(tick);
+      };
+      pb.frame = requestAnimationFrame(tick);
+      this._emit('play', { start: events.length ? events[0].index : 0, steps: events.length });
+    });
+  }
+
+  stop() {
+    const pb = this._playback;
+    if (!pb) return;
+    this._playback = null;
+    cancelAnimationFrame(pb.frame);
+    if (pb.node) pb.node.classList.remove('notepad-letter-playing');
+    try { pb.ctx.close(); } catch (e) { }
+    this._emit('stop');
+    pb.resolve();
+  }
+
+  isPlaying() { return !!this._playback; }
+
+  // Renders the same notes offline to a 16-bit PCM WAV Blob (no sound is played)
+  renderAudio(opts = {}) {
+    const OAC = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OAC) return Promise.reject(new Error('OfflineAudioContext no disponible.'));
+    const events = this._noteEvents(opts);
+    const sampleRate = opts.sampleRate || 44100;
+    const tail = 0.3; // let the last release ring out
+    const length = Math.max(1, Math.ceil((this._eventsDuration(events) + tail) * sampleRate));
+    const ctx = new OAC(1, length, sampleRate);
+    this._scheduleNotes(ctx, ctx.destination, events, 0, opts);
+    return ctx.startRendering().then(buffer => this._encodeWAV(buffer));
+  }
+
+  // Note name ('A4', 'C#3', 'Bb5') or number (Hz) -> frequency in Hz, null for rests / unknown
+  static noteFrequency(note) {
+    if (typeof note === 'number') return note > 0 ? note : null;
+    const m = /^([A-Ga-g])([#b]?)(-?\d)$/.exec(String(note || '').trim());
+    if (!m) return null;
+    const semis = { c: -9, d: -7, e: -5, f: -4, g: -2, a: 0, b: 2 }[m[1].toLowerCase()] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0);
+    return 440 * Math.pow(2, (semis + (parseInt(m[3], 10) - 4) * 12) / 12);
+  }
+
+  // One { index, ch, time, duration, frequency } per step (frequency null = rest)
+  _noteEvents(opts) {
+    const range = opts.range || this._getSelectionRange() || { start: 0, end: this.doc.length };
+    const step = (60 / (opts.tempo || 120)) * (opts.beats || 0.5);
+    const newlineRest = (typeof opts.newlineRest !== 'undefined') ? opts.newlineRest : 2;
+    const map = this.noteMap || {};
+    const events = [];
+    let time = 0;
+    for (let i = Math.max(0, range.start); i < Math.min(this.doc.length, range.end); i++) {
+      const ch = this.doc[i].text;
+      const steps = ch === '\n' ? newlineRest : 1;
+      const note = Object.prototype.hasOwnProperty.call(map, ch) ? map[ch] : map[ch.toLowerCase()];
+      events.push({ index: i, ch, time, duration: step * steps, frequency: ch === '\n' ? null : Notepad.noteFrequency(note) });
+      time += step * steps;
+    }
+    return events;
+  }
+
+  _eventsDuration(events) {
+    const last = events[events.length - 1];
+    return last ? last.time + last.duration : 0;
+  }
+
+  // Oscillator + short attack / release envelope per note, starting at t0 on ctx's clock
+  _scheduleNotes(ctx, destination, events, t0, opts) {
+    const volume = (typeof opts.volume !== 'undefined') ? opts.volume : 0.3;
+    const waveform = opts.waveform || 'sine';
+    for (const ev of events) {
+      if (!ev.frequency) continue;
+      const start = t0 + ev.time;
+      const end = start + ev.duration * 0.9;
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = waveform;
+      osc.frequency.setValueAtTime(ev.frequency, start);
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(volume, start + Math.min(0.01, ev.duration / 4));
+      gain.gain.setValueAtTime(volume, Math.max(start, end - 0.05));
+      gain.gain.linearRampToValueAtTime(0, end);
+      osc.connect(gain);
+      gain.connect(destination);
+      osc.start(start);
+      osc.stop(end + 0.01);
+    }
+  }
+
+  _setPlayhead(pb, ev) {
+    if (pb.node) pb.node.classList.remove('notepad-letter-playing');
+    const node = this.letterNodes[ev.index];
+    pb.node = (node && node.tagName !== 'BR') ? node : null;
+    if (pb.node) pb.node.classList.add('notepad-letter-playing');
+    this._emit('note', { index: ev.index, char: ev.ch, frequency: ev.frequency, time: ev.time });
+  }
+
+  _encodeWAV(buffer) {
+    const channels = buffer.numberOfChannels, rate = buffer.sampleRate, frames = buffer.length;
+    const data = new DataView(new ArrayBuffer(44 + frames * channels * 2));
+    const str = (o, v) => { for (let i = 0; i < v.length; i++) data.setUint8(o + i, v.charCodeAt(i)); };
+    str(0, 'RIFF'); data.setUint32(4, 36 + frames * channels * 2, true); str(8, 'WAVE');
+    str(12, 'fmt '); data.setUint32(16, 16, true); data.setUint16(20, 1, true); data.setUint16(22, channels, true);
+    data.setUint32(24, rate, true); data.setUint32(28, rate * channels * 2, true); data.setUint16(32, channels * 2, true); data.setUint16(34, 16, true);
+    str(36, 'data'); data.setUint32(40, frames * channels * 2, true);
+    const chans = [];
+    for (let c = 0; c < channels; c++) chans.push(buffer.getChannelData(c));
+    let o = 44;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++) {
+        const v = Math.max(-1, Math.min(1, chans[c][i]));
+        data.setInt16(o, v < 0 ? v * 0x8000 : v * 0x7FFF, true);
+        o += 2;
+      }
+    }
+    return new Blob([data], { type: 'audio/wav' });
+  }
+
+  // ---------------- Animation ----------------
+  // animate() drives per-letter display properties (visibility, opacity, vertical offset, background,
+  // border ring) from a list of effects. A frame is a pure function of the timeline time, so
+  // seekAnimation(t) always paints the same picture; the document (this.doc) is never touched and
+  // stopAnimation() gives every letter back its own style.
+  // Effects: { type, start: ms, range: { start, end }, easing, ...options } (see ANIMATION_DEFAULTS)
+  //   'typewriter' { speed: letters per second }                  letters appear one after another
+  //   'fade'       { duration: ms, stagger: ms }                   per-letter fade-in
+  //   'colorCycle' { colors, speed: steps per second, smooth }     colors (default colorSequence) shifted along the text
+  //   'wave'       { amplitude: px, period: ms, wavelength: letters }
+  //   'bounce'     { amplitude: px, period: ms, stagger: ms }
+  //   'pulse'      { color, width: px, period: ms, stagger: ms }  pulsing border ring
+  // opts: { duration: ms (default: end of typewriter / fade, endless with the other effects), loop,
+  //         autoplay: true, clock: 'raf' | 'manual' (time only moves with tickAnimation / seekAnimation),
+  //         lockEditing: keyboard, IME, cut and paste do nothing while the animation exists }
+
+  animate(effects, opts = {}) {
+    this.stopAnimation();
+    const list = (Array.isArray(effects) ? effects : [effects]).map(fx => this._compileEffect(fx));
+    let duration = opts.duration;
+    if (!(duration > 0)) {
+      const ends = list.map(fx => this._effectEnd(fx));
+      duration = ends.length && ends.every(isFinite) ? Math.max(...ends) : Infinity;
+    }
+    this._animation = {
+      effects: list,
+      time: 0,
+      duration,
+      loop: !!opts.loop,
+      manual: opts.clock === 'manual',
+      lock: !!opts.lockEditing,
+      playing: false,
+      frame: 0,
+      last: 0,
+      painted: new Set() // letter nodes carrying animated styles
+    };
+    this._paintAnimation();
+    this._emit('animationstart', { duration });
+    if (opts.autoplay !== false) this.playAnimation();
+    return duration;
+  }
+
+  playAnimation() {
+    const anim = this._animation;
+    if (!anim || anim.playing) return;
+    if (anim.time >= anim.duration) anim.time = 0;
+    anim.playing = true;
+    if (anim.manual) return;
+    anim.last = performance.now();
+    const tick = () => {
+      if (this._animation !== anim || !anim.playing) return;
+      const now = performance.now();
+      this._advanceAnimation(now - anim.last);
+      anim.last = now;
+      if (anim.playing) anim.frame = requestAnimationFrame(tick);
+    };
+    anim.frame = requestAnimationFrame(tick);
+  }
+
+  pauseAnimation() {
+    const anim = this._animation;
+    if (!anim || !anim.playing) return;
+    anim.playing = false;
+    cancelAnimationFrame(anim.frame);
+  }
+
+  // Jump to time t (ms) and paint that frame; works while playing or paused
+  seekAnimation(t) {
+    const anim = this._animation;
+    if (!anim) return;
+    anim.time = Math.max(0, Math.min(Number(t) || 0, anim.duration));
+    this._paintAnimation();
+  }
+
+  // Advance by dt ms: the frame-by-frame clock of clock: 'manual' (tests, exports)
+  tickAnimation(dt) {
+    const anim = this._animation;
+    if (!anim || !anim.playing) return;
+    this._advanceAnimation(Math.max(0, Number(dt) || 0));
+  }
+
+  // Ends the animation and restores every letter
+  stopAnimation() {
+    const anim = this._animation;
+    if (!anim) return;
+    this.pauseAnimation();
+    this._animation = null;
+    this.letterNodes.forEach((n, i) => {
+      if (n && anim.painted.has(n)) this._restoreAnimatedLetter(n, this.doc[i], i);
+    });
+  }
+
+  isAnimating() { return !!(this._animation && this._animation.playing); }
+
+  getAnimationState() {
+    const anim = this._animation;
+    if (!anim) return null;
+    return { time: anim.time, duration: anim.duration, playing: anim.playing, loop: anim.loop, locked: anim.lock };
+  }
+
+  _editingLocked() { return !!(this._animation && this._animation.lock); }
+
+  _compileEffect(fx) {
+    const defaults = Notepad.ANIMATION_DEFAULTS[fx && fx.type];
+    if (!defaults) throw new Error(`Efecto de animación desconocido: ${fx && fx.type}`);
+    const out = Object.assign({ start: 0, range: null }, defaults, fx);
+    out.ease = Notepad._easingFunction(out.easing);
+    if (out.type === 'colorCycle') {
+      out.colors = (out.colors && out.colors.length) ? out.colors.slice()
+        : (this.colorSequence && this.colorSequence.length ? this.colorSequence.slice() : Notepad.palettes.rainbow(12));
+    }
+    return out;
+  }
+
+  // Time at which an effect has nothing left to do (Infinity for the cyclic ones)
+  _effectEnd(fx) {
+    const { a, b } = this._effectRange(fx);
+    const count = Math.max(0, b - a);
+    if (fx.type === 'typewriter') return fx.start + count * 1000 / fx.speed;
+    if (fx.type === 'fade') return fx.start + Math.max(0, count - 1) * fx.stagger + fx.duration;
+    return Infinity;
+  }
+
+  _effectRange(fx) {
+    const n = this.doc.length;
+    if (!fx.range) return { a: 0, b: n };
+    return { a: Math.max(0, fx.range.start || 0), b: Math.min(n, (typeof fx.range.end === 'number') ? fx.range.end : n) };
+  }
+
+  _advanceAnimation(dt) {
+    const anim = this._animation;
+    let t = anim.time + dt;
+    if (t >= anim.duration) {
+      if (anim.loop) {
+        t %= anim.duration;
+      } else {
+        anim.time = anim.duration;
+        this._paintAnimation();
+        this.pauseAnimation();
+        this._emit('animationend', { time: anim.time });
+        return;
+      }
+    }
+    anim.time = t;
+    this._paintAnimation();
+  }
+
+  // Display properties of every letter at time t: { hidden, opacity, dy, background, ring } or null
+  // (untouched). Effects compose: opacities multiply, offsets add, the last color / ring wins.
+  _animationFrame(t) {
+    const anim = this._animation;
+    const props = new Array(this.doc.length).fill(null);
+    if (!anim) return props;
+    const at = (i) => props[i] || (props[i] = { hidden: false, opacity: 1, dy: 0, background: null, ring: null });
+    // position inside a cycle of `period` ms, 0..1..0
+    const wave = (local, period) => {
+      const phase = ((local / period) % 1 + 1) % 1;
+      return 1 - Math.abs(2 * phase - 1);
+    };
+    for (const fx of anim.effects) {
+      const { a, b } = this._effectRange(fx);
+      const local = t - fx.start;
+      for (let i = a; i < b; i++) {
+        if (this.doc[i].text === '\n') continue;
+        const k = i - a;
+        switch (fx.type) {
+          case 'typewriter':
+            if (local < k * 1000 / fx.speed) at(i).hidden = true;
+            break;
+          case 'fade': {
+            const p = Math.max(0, Math.min(1, (local - k * fx.stagger) / fx.duration));
+            at(i).opacity *= fx.ease(p);
+            break;
+          }
+          case 'colorCycle': {
+            if (local < 0) break;
+            const colors = fx.colors, m = colors.length;
+            const steps = local * fx.speed / 1000;
+            const j = (((k - Math.floor(steps)) % m) + m) % m;
+            at(i).background = fx.smooth
+              ? (Notepad.color.mix(colors[j], colors[(j + m - 1) % m], fx.ease(steps % 1)) || colors[j])
+              : colors[j];
+            break;
+          }
+          case 'wave':
+            if (local < 0) break;
+            at(i).dy -= fx.amplitude * Math.sin(2 * Math.PI * (local / fx.period - k / fx.wavelength));
+            break;
+          case 'bounce': {
+            const l = local - k * fx.stagger;
+            if (l < 0) break;
+            at(i).dy -= fx.amplitude * fx.ease(wave(l, fx.period));
+            break;
+          }
+          case 'pulse': {
+            const l = local - k * fx.stagger;
+            if (l < 0) break;
+            at(i).ring = { color: fx.color, width: fx.width * fx.ease(wave(l, fx.period)) };
+            break;
+          }
+        }
+      }
+    }
+    return props;
+  }
+
+  // Paint the current frame on the materialized letters (also after edits and virtual scrolling)
+  _paintAnimation() {
+    const anim = this._animation;
+    const props = anim.props = this._animationFrame(anim.time);
+    const painted = new Set();
+    this.letterNodes.forEach((n, i) => {
+      if (!n || n.tagName === 'BR') return;
+      const p = props[i];
+      const item = this.doc[i];
+      if (!p) {
+        if (anim.painted.has(n)) this._restoreAnimatedLetter(n, item, i);
+        return;
+      }
+      const own = item.style && item.style.opacity;
+      const base = (own !== undefined && own !== null) ? own : 1;
+      n.style.visibility = p.hidden ? 'hidden' : '';
+      n.style.opacity = String(+(base * p.opacity).toFixed(4));
+      n.style.transform = p.dy ? `translateY(${p.dy.toFixed(2)}px)` : '';
+      n.style.backgroundColor = p.background || item.color || '';
+      n.style.boxShadow = (p.ring && p.ring.width > 0) ? `0 0 0 ${p.ring.width.toFixed(2)}px ${p.ring.color}` : '';
+      painted.add(n);
+    });
+    anim.painted = painted;
+  }
+
+  _restoreAnimatedLetter(n, item, i) {
+    n.style.visibility = '';
+    n.style.transform = '';
+    n.style.boxShadow = '';
+    this._styleLetterSpan(n, item, i);
+  }
+
+  static _easingFunction(easing) {
+    if (typeof easing === 'function') return easing;
+    const fn = Notepad.easing[easing || 'linear'];
+    if (typeof fn !== 'function' || easing === 'steps') throw new Error(`Easing desconocido: ${easing}`);
+    return fn;
+  }
+
+  // ---------------- ANSI (terminal) import / export ----------------
+  // Works on plain data only (see the static versions below), so it also runs without a DOM.
+
+  // opts: { colors: 'truecolor' (24-bit, default) | 256 | 16 }
+  toANSI(opts = {}) {
+    const items = (this._autoTextColor || this.textColorFunc)
+      ? this.doc.map((item, i) => item.text === '\n' ? item : Object.assign({}, item, { style: Object.assign({}, item.style, { textColor: this._resolveLetterStyle(item, i).textColor }) }))
+      : this.doc;
+    return Notepad.toANSI({ settings: { textColor: this._textColor }, items }, opts);
+  }
+
+  // Replace the content with SGR-colored text; goes through setFromRichContent (letters without a
+  // background color get one from the color rules)
+  setFromANSI(str) {
+    this.setFromRichContent(Notepad.parseANSI(str));
+  }
+
+  // source: a serialized document (any version, see serialize()), an array of rich items, or
+  // { settings, items }. Letter background -> ANSI background, resolved text color -> foreground.
+  static toANSI(source, opts = {}) {
+    const doc = (source && !Array.isArray(source) && typeof source === 'object' && Array.isArray(source.items) && typeof source.version === 'undefined')
+      ? { settings: source.settings || {}, items: source.items }
+      : Notepad._readDocument(source);
+    const depth = opts.colors || 'truecolor';
+    const defaultText = doc.settings.textColor || 'white';
+    const out = [];
+    let prev = null; // SGR of the previous letter ('' = terminal defaults)
+    for (const item of doc.items) {
+      if (item.text === '\n') {
+        if (prev) out.push('\x1b[0m');
+        out.push('\n');
+        prev = null;
+        continue;
+      }
+      const st = item.style || {};
+      const codes = [];
+      if (st.fontWeight === 'bold' || st.fontWeight >= 600) codes.push(1);
+      if (st.fontStyle === 'italic') codes.push(3);
+      if (st.underline) codes.push(4);
+      const fg = Notepad._ansiColorCode(Notepad._parseColor(st.textColor || defaultText), false, depth);
+      const bg = Notepad._ansiColorCode(Notepad._parseColor(item.color), true, depth);
+      if (fg) codes.push(fg);
+      if (bg) codes.push(bg);
+      const sgr = codes.join(';');
+      if (sgr !== (prev || '')) out.push('\x1b[0' + (sgr ? ';' + sgr : '') + 'm');
+      prev = sgr;
+      out.push(item.text);
+    }
+    if (prev) out.push('\x1b[0m');
+    return out.join('');
+  }
+
+  // SGR sequences -> rich items ({ text, color, style? }). Background -> color, foreground ->
+  // style.textColor, bold / italic / underline -> style. Other escape sequences are dropped.
+  static parseANSI(str) {
+    const items = [];
+    let fg = null, bg = null, bold = false, italic = false, underline = false;
+    const hex = (rgb) => '#' + [rgb.r, rgb.g, rgb.b].map(v => Math.max(0, Math.min(255, v | 0)).toString(16).padStart(2, '0')).join('');
+    const extended = (codes, k) => {
+      // 38/48 ; 5 ; n  or  38/48 ; 2 ; r ; g ; b  -> [rgb | null, codes consumed]
+      if (codes[k + 1] === 5) return [Notepad._ansi256(codes[k + 2] || 0), 3];
+      if (codes[k + 1] === 2) return [{ r: codes[k + 2] || 0, g: codes[k + 3] || 0, b: codes[k + 4] || 0 }, 5];
+      return [null, 1];
+    };
+    const re = /\x1b\[([0-9;]*)([A-Za-z])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\|$)|\x1b[@-Z\\-_]/g;
+    let last = 0, m;
+    const pushText = (text) => {
+      const style = {};
+      if (fg) style.textColor = fg;
+      if (bold) style.fontWeight = 'bold';
+      if (italic) style.fontStyle = 'italic';
+      if (underline) style.underline = true;
+      for (const ch of text.replace(/\r\n?/g, '\n')) {
+        if (ch === '\n') { items.push({ text: '\n', color: null }); continue; }
+        const item = { text: ch, color: bg };
+        if (Object.keys(style).length) item.style = Object.assign({}, style);
+        items.push(item);
+      }
+    };
+    while ((m = re.exec(str))) {
+      if (m.index > last) pushText(str.slice(last, m.index));
+      last = re.lastIndex;
+      if (m[2] !== 'm') continue; // not SGR
+      const codes = m[1] === '' ? [0] : m[1].split(';').map(c => c === '' ? 0 : parseInt(c, 10));
+      for (let k = 0; k < codes.length; k++) {
+        const c = codes[k];
+        if (c === 0) { fg = bg = null; bold = italic = underline = false; }
+        else if (c === 1) bold = true;
+        else if (c === 22) bold = false;
+        else if (c === 3) italic = true;
+        else if (c === 23) italic = false;
+        else if (c === 4) underline = true;
+        else if (c === 24) underline = false;
+        else if (c >= 30 && c <= 37) fg = hex(Notepad.ANSI_16[c - 30]);
+        else if (c >= 90 && c <= 97) fg = hex(Notepad.ANSI_16[c - 90 + 8]);
+        else if (c >= 40 && c <= 47) bg = hex(Notepad.ANSI_16[c - 40]);
+        else if (c >= 100 && c <= 107) bg = hex(Notepad.ANSI_16[c - 100 + 8]);
+        else if (c === 39) fg = null;
+        else if (c === 49) bg = null;
+        else if (c === 38 || c === 48) {
+          const [rgb, used] = extended(codes, k);
+          if (rgb) { if (c === 38) fg = hex(rgb); else bg = hex(rgb); }
+          k += used - 1;
+        }
+      }
+    }
+    // an escape sequence cut off by the end of the input is dropped, not turned into letters
+    const tail = str.slice(last).replace(/\x1b(?:\[[0-9;]*)?$/, '');
+    if (tail) pushText(tail);
+    return items;
+  }
+
+  // SGR parameter for a color (null for unparsable or transparent -> terminal default)
+  static _ansiColorCode(rgb, background, depth) {
+    if (!rgb) return null;
+    const base = background ? 48 : 38;
+    if (depth === 256 || depth === '256') return base + ';5;' + Notepad._ansiNearest(rgb, 256);
+    if (depth === 16 || depth === '16') {
+      const n = Notepad._ansiNearest(rgb, 16);
+      return String(n < 8 ? (background ? 40 : 30) + n : (background ? 100 : 90) + n - 8);
+    }
+    return base + ';2;' + rgb.r + ';' + rgb.g + ';' + rgb.b;
+  }
+
+  // Palette index -> rgb, null outside 0-255 (the color is then left unchanged, like an unknown code)
+  static _ansi256(n) {
+    if (!(n >= 0 && n <= 255)) return null;
+    if (n < 16) return Notepad.ANSI_16[n];
+    if (n >= 232) { const v = 8 + (n - 232) * 10; return { r: v, g: v, b: v }; }
+    const k = n - 16, steps = [0, 95, 135, 175, 215, 255];
+    return { r: steps[Math.floor(k / 36)], g: steps[Math.floor(k / 6) % 6], b: steps[k % 6] };
+  }
+
+  // Nearest palette index (squared RGB distance); the 256 search skips the 16 themeable colors
+  static _ansiNearest(rgb, size) {
+    let best = 0, bestD = Infinity;
+    for (let n = (size === 256 ? 16 : 0); n < size; n++) {
+      const c = Notepad._ansi256(n);
+      const d = (c.r - rgb.r) ** 2 + (c.g - rgb.g) ** 2 + (c.b - rgb.b) ** 2;
+      if (d < bestD) { bestD = d; best = n; }
+    }
+    return best;
+  }
+
+  // ---------------- Events ----------------
+  on(eventName, fn) {
+    if (!this.handlers[eventName]) this.handlers[eventName] = [];
+    this.handlers[eventName].push(fn);
+  }
+
+  // Remove one listener, or every listener of the event when fn is omitted
+  off(eventName, fn) {
+    const list = this.handlers[eventName];
+    if (!list) return;
+    if (typeof fn === 'undefined') { delete this.handlers[eventName]; return; }
+    const i = list.indexOf(fn);
+    if (i >= 0) list.splice(i, 1);
+    if (!list.length) delete this.handlers[eventName];
+  }
+
+  destroy() {
+    this.disconnect();
+    this.stop();
+    this.stopAnimation();
+    this.stopRecording();
+    this._detachEvents();
+    if (this._findBar) this._findBar.root.remove();
+    this.container.remove();
+  }
+
+  // ---------------- Export: canvas / Blob / data URL ----------------
+  // Every raster export paints through _drawSnapshot (plain 2D context calls; p5.Graphics exposes its
+  // context as drawingContext), so the p5 and the canvas output are identical and match the DOM.
+  // opts: { scale, background, format: 'png' | 'jpeg' | 'webp', quality, crop: 'selection' | 'content',
+  //         range: { start, end } (only these letters are painted), padding (around a crop) }
+
+  toCanvas(opts = {}) {
+    const plan = this._exportPlan(opts);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(plan.area.width * plan.scale));
+    canvas.height = Math.max(1, Math.round(plan.area.height * plan.scale));
+    this._paintExport(canvas.getContext('2d'), plan);
+    return canvas;
+  }
+
+  toDataURL(opts = {}) {
+    return this.toCanvas(opts).toDataURL(this._exportMime(opts.format), opts.quality);
+  }
+
+  toBlob(opts = {}) {
+    let canvas;
+    try { canvas = this.toCanvas(opts); } catch (err) { return Promise.reject(err); }
+    return this._canvasBlob(canvas, this._exportMime(opts.format), opts.quality);
+  }
+
+  // export using p5.createGraphics if available; otherwise uses native canvas fallback
+  exportAsImageWithP5(filename = 'notepad.png', opts = {}) {
+    // fallback automatically to canvas exporter if p5 global not available
+    if (typeof window.createGraphics !== 'function') {
+      if (typeof this.exportAsImageCanvas === 'function') {
+        return this.exportAsImageCanvas(filename, opts);
+      } else {
+        return Promise.reject(new Error('p5.createGraphics no disponible y no existe fallback canvas.'));
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        const plan = this._exportPlan(opts);
+        const g = window.createGraphics(Math.max(1, Math.round(plan.area.width * plan.scale)), Math.max(1, Math.round(plan.area.height * plan.scale)));
+        // p5 scales the backing canvas by the display density; one pixel per unit like toCanvas()
+        if (typeof g.pixelDensity === 'function') g.pixelDensity(1);
+        g.clear();
+        g.push();
+        this._paintExport(g.drawingContext, plan);
+        g.pop();
+
+        const canvas = g.elt && g.elt.tagName === 'CANVAS' ? g.elt : (g.canvas || (g._renderer && g._renderer.canvas));
+        if (!canvas) {
+          return reject(new Error('No se pudo acceder al canvas del p5.Graphics'));
+        }
+        this._download(canvas.toDataURL(this._exportMime(opts.format), opts.quality), filename);
+        resolve();
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  exportAsImageCanvas(filename = 'notepad.png', opts = {}) {
+    return this.toBlob(opts).then(blob => this._downloadBlob(blob, filename));
+  }
+
+  _download(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+
+  _exportMime(format) {
+    const f = String(format || 'png').toLowerCase();
+    if (f.indexOf('/') >= 0) return f;
+    if (f === 'jpg' || f === 'jpeg') return 'image/jpeg';
+    if (f === 'webp') return 'image/webp';
+    return 'image/png';
+  }
+
+  // Resolve export options into { scale, background, range, area, cropped }. area is the painted
+  // region in container coords: the full scrollable area, or the bounds of the letters when cropping.
+  _exportPlan(opts) {
+    let range = opts.range ? { start: Math.max(0, opts.range.start), end: Math.min(this.doc.length, opts.range.end) } : null;
+    if (opts.crop === 'selection') {
+      const sel = this._getSelectionRange();
+      if (!sel) throw new Error('No hay selección para recortar.');
+      range = sel;
+    }
+    let background = (typeof opts.background !== 'undefined') ? opts.background : this._containerFrame().background;
+    // JPEG has no alpha channel: transparent areas would come out black
+    if (this._exportMime(opts.format) === 'image/jpeg' && this._isTransparent(background)) background = 'white';
+
+    const size = this._snapshotSize();
+    let area = { x: 0, y: 0, width: size.width, height: size.height };
+    let cropped = false;
+    if (opts.crop === 'selection' || opts.crop === 'content') {
+      const boxes = this._letterBoxes().filter(b => !range || (b.index >= range.start && b.index < range.end));
+      if (boxes.length) {
+        const pad = opts.padding || 0;
+        let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+        for (const b of boxes) {
+          x0 = Math.min(x0, b.x); y0 = Math.min(y0, b.y);
+          x1 = Math.max(x1, b.x + b.w); y1 = Math.max(y1, b.y + b.h);
+        }
+        area = { x: x0 - pad, y: y0 - pad, width: x1 - x0 + 2 * pad, height: y1 - y0 + 2 * pad };
+        cropped = true;
+      }
+    }
+    return { scale: opts.scale || 2, background, range, area, cropped };
+  }
+
+  _paintExport(ctx, plan) {
+    ctx.scale(plan.scale, plan.scale);
+    ctx.translate(-plan.area.x, -plan.area.y);
+    this._drawSnapshot(ctx, plan);
+  }
+
+  // Full scrollable area including the container border (letter boxes are relative to the border box)
+  _snapshotSize() {
+    const bw = this._containerFrame().borderWidth;
+    return {
+      width: Math.max(1, this.container.scrollWidth + 2 * bw),
+      height: Math.max(1, this.container.scrollHeight + 2 * bw)
+    };
+  }
+
+  // Paint the container frame and the letters onto a 2D context (in CSS pixels, container coords).
+  // plan: { background (null / 'transparent' -> nothing painted), range, area, cropped }; a cropped
+  // snapshot gets a flat background instead of the container frame.
+  _drawSnapshot(ctx, plan = {}) {
+    const frame = this._containerFrame();
+    const size = this._snapshotSize();
+    const background = (typeof plan.background !== 'undefined') ? plan.background : frame.background;
+
+    if (plan.cropped) {
+      if (!this._isTransparent(background)) {
+        ctx.fillStyle = background;
+        ctx.fillRect(plan.area.x, plan.area.y, plan.area.width, plan.area.height);
+      }
+    } else {
+      // container: background (rounded like the DOM) and border drawn inside the box
+      const bw = frame.borderWidth;
+      if (!this._isTransparent(background)) {
+        ctx.fillStyle = background;
+        this._roundRectPath(ctx, 0, 0, size.width, size.height, frame.borderRadius);
+        ctx.fill();
+      }
+      if (bw > 0) {
+        ctx.strokeStyle = frame.borderColor;
+        ctx.lineWidth = bw;
+        this._roundRectPath(ctx, bw / 2, bw / 2, size.width - bw, size.height - bw, Math.max(0, frame.borderRadius - bw / 2));
+        ctx.stroke();
+      }
+    }
+
+    const range = plan.range;
+    for (const line of this._lineBackgrounds()) {
+      if (range && (line.start >= range.end || line.end < range.start)) continue;
+      ctx.fillStyle = line.background;
+      ctx.fillRect(line.x, line.y, line.w, line.h);
+    }
+
+    const family = this.fontFamily || 'monospace';
+    const metrics = this._fontMetrics(ctx);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+
+    const animated = this._animation ? this._animation.props : null; // current animation frame
+    for (const box of this._letterBoxes()) {
+      if (range && (box.index < range.start || box.index >= range.end)) continue;
+      const item = this.doc[box.index];
+      const fx = animated && animated[box.index];
+      if (fx && fx.hidden) continue;
+      const st = this._resolveLetterStyle(item, box.index);
+      const { x, w, h } = box;
+      const y = box.y + (fx ? fx.dy : 0);
+      const background = (fx && fx.background) || item.color;
+      const lbw = st.borderWidth;
+      const radius = Math.min(st.borderRadius, w / 2, h / 2);
+      ctx.globalAlpha = st.opacity * (fx ? fx.opacity : 1);
+
+      // the CSS background covers the border box; the border is painted inside it
+      if (!this._isTransparent(background)) {
+        ctx.fillStyle = background;
+        this._roundRectPath(ctx, x, y, w, h, radius);
+        ctx.fill();
+      }
+      if (fx && fx.ring && fx.ring.width > 0) {
+        // animated ring (a box-shadow spread in the DOM) around the border box
+        const rw = fx.ring.width;
+        ctx.strokeStyle = fx.ring.color;
+        ctx.lineWidth = rw;
+        this._roundRectPath(ctx, x - rw / 2, y - rw / 2, w + rw, h + rw, radius + rw / 2);
+        ctx.stroke();
+      }
+      if (lbw > 0) {
+        ctx.strokeStyle = st.borderColor;
+        ctx.lineWidth = lbw;
+        this._roundRectPath(ctx, x + lbw / 2, y + lbw / 2, w - lbw, h - lbw, Math.max(0, radius - lbw / 2));
+        ctx.stroke();
+      }
+
+      if (item.text.trim() && !this._isTransparent(st.textColor)) {
+        // inline content box is centered in the padded box; the baseline sits ascent below its top
+        const baseline = y + h / 2 + (metrics.ascent - metrics.descent) / 2;
+        ctx.font = `${st.fontStyle} ${st.fontWeight} ${this.fontSize}px ${family}`;
+        ctx.fillStyle = st.textColor;
+        ctx.fillText(item.text, x + w / 2, baseline);
+        if (st.underline) {
+          const tw = ctx.measureText(item.text).width;
+          const thickness = Math.max(1, this.fontSize / 15);
+          ctx.fillRect(x + (w - tw) / 2, baseline + Math.max(1, metrics.descent / 3), tw, thickness);
+        }
+      }
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // Font ascent / descent as the browser uses them to lay out the inline letter spans
+  _fontMetrics(ctx) {
+    ctx.font = `${this.fontSize}px ${this.fontFamily || 'monospace'}`;
+    let m = null;
+    try { m = ctx.measureText('Hg'); } catch (e) { }
+    if (m && typeof m.fontBoundingBoxAscent === 'number') {
+      return { ascent: m.fontBoundingBoxAscent, descent: m.fontBoundingBoxDescent };
+    }
+    return { ascent: this.fontSize * 0.8, descent: this.fontSize * 0.2 };
+  }
+
+  _roundRectPath(ctx, x, y, w, h, r) {
+    r = Math.max(0, Math.min(r, w / 2, h / 2));
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  // ---------------- Export: SVG ----------------
+
+  // Vector snapshot of the whole document: one rounded rect + one <text> per letter, using the real
+  // letter boxes (padding, margin, radius, letter border) and the container background / border.
+  // opts: { background, blob: true -> returns a Blob instead of the SVG string }
+  exportAsSVG(opts = {}) {
+    const c = this._containerFrame();
+    const background = (typeof opts.background !== 'undefined') ? opts.background : c.background;
+    const width = Math.max(1, this.container.scrollWidth + 2 * c.borderWidth);
+    const height = Math.max(1, this.container.scrollHeight + 2 * c.borderWidth);
+    const num = (v) => +(+v).toFixed(2);
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const out = [];
+    out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`);
+    const frameFill = this._isTransparent(background) ? null : background;
+    if (frameFill || c.borderWidth > 0) {
+      // CSS borders are drawn inside the box, SVG strokes are centered on the path
+      const bw = c.borderWidth;
+      out.push(`<rect x="${num(bw / 2)}" y="${num(bw / 2)}" width="${num(width - bw)}" height="${num(height - bw)}" rx="${num(Math.max(0, c.borderRadius - bw / 2))}"` +
+        ` fill="${frameFill ? esc(frameFill) : 'none'}"` +
+        (bw > 0 ? ` stroke="${esc(c.borderColor)}" stroke-width="${num(bw)}"` : '') + '/>');
+    }
+    for (const line of this._lineBackgrounds()) {
+      out.push(`<rect x="${num(line.x)}" y="${num(line.y)}" width="${num(line.w)}" height="${num(line.h)}" fill="${esc(line.background)}"/>`);
+    }
+
+    out.push(`<g font-family="${esc(this.fontFamily || 'monospace')}" font-size="${num(this.fontSize)}" text-anchor="middle" dominant-baseline="central">`);
+    for (const box of this._letterBoxes()) {
+      const item = this.doc[box.index];
+      const st = this._resolveLetterStyle(item, box.index);
+      const fill = this._isTransparent(item.color) ? null : item.color;
+      const bw = st.borderWidth;
+      const parts = [];
+      if (fill || bw > 0) {
+        const r = Math.max(0, Math.min(st.borderRadius, box.w / 2, box.h / 2) - bw / 2);
+        parts.push(`<rect x="${num(box.x + bw / 2)}" y="${num(box.y + bw / 2)}" width="${num(Math.max(0, box.w - bw))}" height="${num(Math.max(0, box.h - bw))}" rx="${num(r)}"` +
+          ` fill="${fill ? esc(fill) : 'none'}"` +
+          (bw > 0 ? ` stroke="${esc(st.borderColor)}" stroke-width="${num(bw)}"` : '') + '/>');
+      }
+      if (item.text.trim() && !this._isTransparent(st.textColor)) {
+        let attrs = ` fill="${esc(st.textColor)}"`;
+        if (st.fontWeight !== 'normal') attrs += ` font-weight="${esc(st.fontWeight)}"`;
+        if (st.fontStyle !== 'normal') attrs += ` font-style="${esc(st.fontStyle)}"`;
+        if (st.underline) attrs += ' text-decoration="underline"';
+        parts.push(`<text x="${num(box.x + box.w / 2)}" y="${num(box.y + box.h / 2)}"${attrs}>${esc(item.text)}</text>`);
+      }
+      if (!parts.length) continue;
+      out.push(st.opacity < 1 ? `<g opacity="${num(st.opacity)}">${parts.join('')}</g>` : parts.join(''));
+    }
+    out.push('</g>', '</svg>');
+
+    const svg = out.join('\n');
+    return opts.blob ? new Blob([svg], { type: 'image/svg+xml' }) : svg;
+  }
+
+  // Container background / border as drawn on screen (inline style first, then computed style)
+  _containerFrame() {
+    const s = this.container.style;
+    let cs = null;
+    try { cs = window.getComputedStyle(this.container); } catch (e) { }
+    const pick = (inline, computed) => inline || (cs ? cs[computed] : '') || '';
+    return {
+      background: pick(s.backgroundColor, 'backgroundColor') || s.background || null,
+      borderWidth: parseFloat(pick(s.borderTopWidth || s.borderWidth, 'borderTopWidth')) || 0,
+      borderColor: pick(s.borderTopColor || s.borderColor, 'borderTopColor') || '#000',
+      borderRadius: parseFloat(pick(s.borderTopLeftRadius || s.borderRadius, 'borderTopLeftRadius')) || 0
+    };
+  }
+
+  _isTransparent(color) {
+    if (!color || color === 'none') return true;
+    const c = Notepad.color.parse(color);
+    return !!c && c.a === 0;
+  }
+
+  // ---------------- Export: GIF / frame sequences ----------------
+  // Frames come from a typing session captured with startRecording() (opts.recording), or from the
+  // current animation, painted at fixed steps of its timeline; without either, the current state
+  // is one frame. Frames are drawn like toCanvas (opts.scale defaults to 1 here).
+  // opts: { recording, fps: 15, duration: ms (default: the animation's, 3000 when endless),
+  //         maxDelay: 1000 and hold: 1000 (recordings: longest pause / time on the last frame),
+  //         loop: 0 (forever) | n (plays n times) | false (once), colors: 256, palette: [css colors] }
+
+  toGIF(opts = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        const frames = this._exportFrames(opts);
+        const width = Math.max(...frames.map(f => f.canvas.width));
+        const height = Math.max(...frames.map(f => f.canvas.height));
+        const images = frames.map(f => ({ data: this._frameRGBA(f.canvas, width, height), delay: f.delay }));
+        const bytes = Notepad.gif.encode(images, width, height, { loop: opts.loop, colors: opts.colors, palette: opts.palette });
+        resolve(new Blob([bytes], { type: 'image/gif' }));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  // One PNG Blob per frame
+  toFrames(opts = {}) {
+    let frames;
+    try { frames = this._exportFrames(opts); } catch (err) { return Promise.reject(err); }
+    return Promise.all(frames.map(f => this._canvasBlob(f.canvas, 'image/png')));
+  }
+
+  // ZIP (stored) with frame-0001.png, frame-0002.png, ...
+  toFramesZip(opts = {}) {
+    return this.toFrames(opts)
+      .then(blobs => Promise.all(blobs.map(b => this._blobBytes(b))))
+      .then(list => {
+        const digits = Math.max(4, String(list.length).length);
+        const files = list.map((data, k) => ({ name: `frame-${String(k + 1).padStart(digits, '0')}.png`, data }));
+        return new Blob([Notepad.zip.create(files)], { type: 'application/zip' });
+      });
+  }
+
+  exportAsGIF(filename = 'notepad.gif', opts = {}) {
+    return this.toGIF(opts).then(blob => this._downloadBlob(blob, filename));
+  }
+
+  exportFramesZip(filename = 'notepad-frames.zip', opts = {}) {
+    return this.toFramesZip(opts).then(blob => this._downloadBlob(blob, filename));
+  }
+
+  // Capture a frame after every change (at most opts.fps per second) until stopRecording().
+  // opts: toCanvas options (scale defaults to 1), fps: 15, maxFrames: 600
+  startRecording(opts = {}) {
+    this.stopRecording();
+    const rec = {
+      canvasOpts: Object.assign({ scale: 1 }, opts),
+      fps: opts.fps || 15,
+      maxFrames: opts.maxFrames || 600,
+      start: performance.now(),
+      last: -Infinity,
+      timer: 0,
+      frames: []
+    };
+    const capture = () => {
+      rec.timer = 0;
+      if (rec.frames.length >= rec.maxFrames) return;
+      rec.last = performance.now();
+      rec.frames.push({ time: rec.last - rec.start, canvas: this.toCanvas(rec.canvasOpts) });
+    };
+    rec.capture = capture;
+    rec.onChange = () => {
+      if (rec.timer) return;
+      const wait = rec.last + 1000 / rec.fps - performance.now();
+      if (wait <= 0) capture();
+      else rec.timer = setTimeout(capture, wait);
+    };
+    this._recording = rec;
+    capture();
+    this.on('change', rec.onChange);
+  }
+
+  // Ends the capture; returns the recording ({ frames: [{ time, canvas }], duration }) for opts.recording
+  stopRecording() {
+    const rec = this._recording;
+    if (!rec) return null;
+    this._recording = null;
+    this.off('change', rec.onChange);
+    if (rec.timer) {
+      clearTimeout(rec.timer);
+      rec.capture();
+    }
+    return { frames: rec.frames, duration: performance.now() - rec.start };
+  }
+
+  isRecording() { return !!this._recording; }
+
+  // [{ canvas, delay (ms) }]
+  _exportFrames(opts) {
+    const canvasOpts = Object.assign({}, opts, { scale: opts.scale || 1 });
+    if (opts.recording) {
+      const frames = opts.recording.frames || [];
+      if (!frames.length) throw new Error('La grabación no tiene fotogramas.');
+      const maxDelay = (typeof opts.maxDelay !== 'undefined') ? opts.maxDelay : 1000;
+      const hold = (typeof opts.hold !== 'undefined') ? opts.hold : 1000;
+      return frames.map((f, k) => ({
+        canvas: f.canvas,
+        delay: k + 1 < frames.length ? Math.min(maxDelay, frames[k + 1].time - f.time) : hold
+      }));
+    }
+    const anim = this._animation;
+    if (!anim) return [{ canvas: this.toCanvas(canvasOpts), delay: 0 }];
+    const fps = opts.fps || 15;
+    const step = 1000 / fps;
+    const duration = opts.duration || (isFinite(anim.duration) ? anim.duration : 3000);
+    // a loop repeats from its first frame; otherwise the last frame shows the end of the timeline
+    const count = Math.max(1, Math.round(duration / step));
+    const times = [];
+    for (let k = 0; k < count; k++) times.push(k * step);
+    if (!anim.loop) times.push(duration);
+    const saved = anim.time;
+    try {
+      return times.map(t => {
+        anim.time = Math.min(t, anim.duration);
+        if (anim.loop && isFinite(anim.duration)) anim.time = t % anim.duration;
+        this._paintAnimation();
+        return { canvas: this.toCanvas(canvasOpts), delay: step };
+      });
+    } finally {
+      anim.time = saved;
+      this._paintAnimation();
+    }
+  }
+
+  // RGBA pixels of a frame, on a width x height canvas (frames of a recording may differ in size)
+  _frameRGBA(canvas, width, height) {
+    if (canvas.width !== width || canvas.height !== height) {
+      const full = document.createElement('canvas');
+      full.width = width;
+      full.height = height;
+      full.getContext('2d').drawImage(canvas, 0, 0);
+      canvas = full;
+    }
+    return canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  }
+
+  _canvasBlob(canvas, mime, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) resolve(blob); else reject(new Error('No se pudo generar la imagen.'));
+      }, mime, quality);
+    });
+  }
+
+  _blobBytes(blob) {
+    if (typeof blob.arrayBuffer === 'function') return blob.arrayBuffer().then(buf => new Uint8Array(buf));
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Uint8Array(reader.result));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  _downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    this._download(url, filename);
+    URL.revokeObjectURL(url);
+  }
+
+  // ---------------- Internal helpers ----------------
+
+  _build() {
+    this.container = document.createElement('div');
+    this.container.className = 'notepad-container';
+    this.container.tabIndex = 0;
+    Object.assign(this.container.style, {
+      width: this.width + 'px',
+      height: this.height + 'px',
+      border: '1px solid #ccc',
+      padding: this._containerPadding,
+      fontFamily: this.fontFamily,
+      fontSize: this.fontSize + 'px',
+      lineHeight: '1.5',
+      cursor: 'text',
+      overflow: 'auto',
+      userSelect: 'none',
+      outline: 'none',
+      background: 'white',
+      whiteSpace: 'pre-wrap',
+      wordWrap: 'break-word',
+    });
+    this.content = document.createElement('div');
+    this.container.appendChild(this.content);
+    if (!this._virtual) this.content.appendChild(this._createLine());
+
+    this.cursor = document.createElement('span');
+    this.cursor.className = 'notepad-cursor';
+    Object.assign(this.cursor.style, {
+      display: 'inline-block',
+      width: '2px',
+      backgroundColor: '#333',
+      verticalAlign: 'text-bottom',
+      animation: 'np-blink 1s steps(2,start) infinite',
+    });
+    this._styleCursor();
+
+    if (!document.getElementById('notepad-style')) {
+      const st = document.createElement('style');
+      st.id = 'notepad-style';
+      st.textContent = `
+        @keyframes np-blink { 0%{opacity:1}50%{opacity:0}100%{opacity:1} }
+        .notepad-letter-playing { filter: brightness(1.35); box-shadow: 0 0 0 2px rgba(255,255,255,0.9), 0 0 8px 2px rgba(0,0,0,0.35); }
+        .notepad-letter-match { box-shadow: inset 0 -3px 0 rgba(255,200,0,0.9); }
+        .notepad-letter-match-current { box-shadow: inset 0 -3px 0 rgba(255,120,0,1), 0 0 0 2px rgba(255,120,0,0.9); }
+        .notepad-letter-selected, .notepad-letter-selected-extra { outline: 2px solid rgba(0,0,0,0.15); box-shadow: inset 0 0 0 2px rgba(0,0,0,0.03); }
+        .notepad-letter-remote { box-shadow: inset 0 -3px 0 var(--np-peer-color, #888); }
+        .notepad-newline { display: block; width: 0; height: 0; margin: 0; padding: 0; }
+        .notepad-line { position: relative; }
+        .notepad-line-justify { display: flex; flex-wrap: wrap; align-items: flex-end; min-height: var(--np-row-height); }
+        .notepad-line-justify > .notepad-space { flex-grow: 1; }
+        .notepad-line-justify::after { content: ''; flex-grow: 1000000; }
+        .notepad-highlight-line > .notepad-line-current { box-shadow: inset 0 0 0 100vmax var(--np-current-line); }
+        .notepad-gutter { counter-reset: np-line; }
+        .notepad-gutter > .notepad-line { counter-increment: np-line; }
+        .notepad-gutter > .notepad-line::before {
+          content: counter(np-line); position: absolute; top: 0; left: calc(-1 * var(--np-gutter-width));
+          width: var(--np-gutter-width); box-sizing: border-box; padding-right: 6px; text-align: right;
+          font-size: 0.7em; font-weight: normal; line-height: var(--np-row-height); color: var(--np-gutter-color);
+          white-space: nowrap; pointer-events: none;
+        }
+        .notepad-gutter > .notepad-line-current::before { color: var(--np-gutter-current); font-weight: bold; }
+      `;
+      document.head.appendChild(st);
+    }
+
+    this.parent.appendChild(this.container);
+
+    // Hidden textarea for mobile input
+    this.textarea = document.createElement('textarea');
+    Object.assign(this.textarea.style, {
+      position: 'absolute',
+      opacity: '0',
+      pointerEvents: 'none',
+      width: '1px',
+      height: '1px',
+      top: '0',
+      left: '0'
+    });
+    this.container.appendChild(this.textarea);
+
+    if (this._virtual) this._vSetup();
+
+    this.focus();
   }
 
   _attachEvents() {
@@ -562,43 +3185,17 @@ class Notepad {
       e.preventDefault();
       this.focus();
 
-      const rectContainer = this.container.getBoundingClientRect();
-      const clickX = e.clientX - rectContainer.left + this.container.scrollLeft;
-      const clickY = e.clientY;
-
-      let idx = null;
-      const target = e.target;
-
-      // Fast path: if clicked on node with dataset.index, use rect half detection
-      if (target && target !== this.container && target !== this.content && target !== this.cursor && target.dataset && typeof target.dataset.index !== 'undefined') {
-        const spanIndex = parseInt(target.dataset.index, 10);
-        if (target.tagName === 'BR') {
-          idx = spanIndex + 1;
-        } else {
-          const rect = target.getBoundingClientRect();
-          if (e.clientX < rect.left + rect.width / 2) idx = spanIndex;
-          else idx = spanIndex + 1;
-        }
-      }
+      let idx = this.indexAtPoint(e.clientX, e.clientY);
+      idx = Math.max(0, Math.min(idx, this.letterNodes.length));
 
-      // If not decided: click to right of last node => end
-      if (idx === null) {
-        if (this.letterNodes.length > 0) {
-          const lastNode = this.letterNodes[this.letterNodes.length - 1];
-          const lastRect = lastNode.getBoundingClientRect();
-          const lastRightX = lastRect.right - rectContainer.left + this.container.scrollLeft;
-          if (clickX >= lastRightX) {
-            idx = this.letterNodes.length;
-          }
-        } else {
-          idx = 0;
-        }
+      // Alt+click adds a caret, Alt+drag selects a column (box) from here
+      if (e.altKey) {
+        this.addCaret(idx);
+        this._columnDrag = { anchor: idx };
+        this.isDragging = true;
+        return;
       }
-
-      // fallback: XY hit test (handles wrapped lines)
-      if (idx === null) idx = this._indexFromClientXY(e.clientX, e.clientY);
-
-      idx = Math.max(0, Math.min(idx, this.letterNodes.length));
+      this._carets = [];
 
       if (e.shiftKey) {
         if (this.selectionStart === null) this.selectionStart = this.cursorPos;
@@ -619,7 +3216,14 @@ class Notepad {
     this._onPointerMove = (e) => {
       if (!this.isDragging) return;
       e.preventDefault();
-      const idx = this._indexFromClientXY(e.clientX, e.clientY);
+      const idx = this.indexAtPoint(e.clientX, e.clientY);
+      if (this._columnDrag) {
+        if (idx !== this._columnDrag.anchor || this._columnDrag.moved) {
+          this._columnDrag.moved = true;
+          this.selectColumns(this._columnDrag.anchor, idx);
+        }
+        return;
+      }
       this.selectionEnd = idx;
       this.cursorPos = idx;
       this._render();
@@ -628,12 +3232,16 @@ class Notepad {
     this._onPointerUp = (e) => {
       if (!this.isDragging) return;
       this.isDragging = false;
+      this._columnDrag = null;
       if (this.selectionStart === this.selectionEnd) this._clearSelection();
       this._render();
       this.textarea.focus(); // Ensure focus remains for typing
     };
 
+    this._onScroll = () => { if (this._virtual) this._render(); };
+
     this.container.addEventListener('pointerdown', this._onPointerDown);
+    this.container.addEventListener('scroll', this._onScroll);
     window.addEventListener('pointermove', this._onPointerMove);
     window.addEventListener('pointerup', this._onPointerUp);
 
@@ -644,77 +3252,116 @@ class Notepad {
       this.isComposing = true;
     };
 
-    this._onCompositionEnd = (e) => {
+    this._onCompositionEnd = (e) => this._withSource('ime', () => {
       this.isComposing = false;
       // Insert the composed text
-      if (e.data) {
-        for (let char of e.data) {
-          this._insertChar(char);
-        }
+      if (e.data && !this._editingLocked()) {
+        this._transact('typing', () => this._forEachCaret(() => {
+          for (let char of e.data) {
+            this._insertChar(char);
+          }
+        }));
         this._render();
-        this._emit('change');
+        this._emitChange();
       }
       this.textarea.value = ''; // Clear buffer
-    };
+    });
 
     this.textarea.addEventListener('compositionstart', this._onCompositionStart);
     this.textarea.addEventListener('compositionend', this._onCompositionEnd);
 
     // Input event for mobile/IME
-    this._onInput = (e) => {
+    this._onInput = (e) => this._withSource('keyboard', () => {
       // Ignore input events during composition (swipe/handwriting)
       if (this.isComposing) return;
+      if (this._editingLocked()) { this.textarea.value = ''; return; }
 
       const inputType = e.inputType;
 
       if (inputType === 'insertText' && e.data) {
-        for (let char of e.data) {
-          this._insertChar(char);
-        }
+        this._transact('typing', () => this._forEachCaret(() => {
+          for (let char of e.data) {
+            this._insertChar(char);
+          }
+        }), { coalesce: true });
       } else if (inputType === 'insertLineBreak') {
-        this._insertNewline();
+        this._transact('newline', () => this._forEachCaret(() => this._insertNewline()));
       } else if (inputType === 'deleteContentBackward') {
         this._handleBackspace();
       } else if (inputType === 'deleteContentForward') {
         this._handleDelete();
       } else if (inputType === 'insertFromPaste') {
-        // Paste is usually handled by 'paste' event, but just in case
-        // We rely on the paste event listener below
+        // only reached when the paste event did not handle it (it calls preventDefault)
+        const text = e.data || this.textarea.value;
+        if (text) this._withSource('paste', () => this._pasteItems(this._itemsFromPlainText(text)));
       }
 
       this.textarea.value = ''; // Clear buffer
       this._render();
-      this._emit('change');
-    };
+      this._emitChange();
+    });
 
     this.textarea.addEventListener('input', this._onInput);
 
-    this._onKeyDown = (e) => {
-      const ctrl = e.ctrlKey || e.metaKey;
-      if (ctrl && e.key.toLowerCase() === 'c') { e.preventDefault(); this.copy(); return; }
-      if (ctrl && e.key.toLowerCase() === 'x') { e.preventDefault(); this.cut(); return; }
-      if (ctrl && e.key.toLowerCase() === 'v') { e.preventDefault(); this.paste(); return; }
+    // Native clipboard events: text/plain + text/html + Notepad.CLIPBOARD_MIME (JSON)
+    this._onCopy = (e) => {
+      if (!this._selectionRanges().length || !e.clipboardData) return;
+      e.preventDefault();
+      this.clipboard = this._selectionItems();
+      this._writeClipboardData(e.clipboardData, this.clipboard);
+      this._emit('copy', this.clipboard.slice());
+    };
+    this._onCut = (e) => this._withSource('cut', () => {
+      if (!this._selectionRanges().length || !e.clipboardData) return;
+      this._onCopy(e);
+      if (this._editingLocked()) return; // copy only
+      this._cutSelection();
+      this._render();
+      this._emitChange();
+    });
+    this._onPaste = (e) => this._withSource('paste', () => {
+      if (!e.clipboardData) return;
+      e.preventDefault();
+      if (this._editingLocked()) return;
+      const items = this._readClipboardData(e.clipboardData);
+      if (!items.length) return;
+      this._pasteItems(items);
+      this._render();
+      this._emitChange();
+    });
+    this.textarea.addEventListener('copy', this._onCopy);
+    this.textarea.addEventListener('cut', this._onCut);
+    this.textarea.addEventListener('paste', this._onPaste);
 
-      if (e.key === 'Enter') {
+    this._onKeyDown = (e) => this._withSource('keyboard', () => {
+      const ctrl = e.ctrlKey || e.metaKey;
+      if (this._editingLocked() && (['Enter', 'Backspace', 'Delete'].includes(e.key) ||
+        (ctrl && ['z', 'y'].includes(e.key.toLowerCase())) || (e.key.length === 1 && !ctrl && !e.altKey))) {
+        // a locked animation only lets the caret move, copy and find
         e.preventDefault();
-        this._insertNewline();
-        this._render();
-        this._emit('change');
         return;
       }
+      if (ctrl && e.key.toLowerCase() === 'z') { e.preventDefault(); if (e.shiftKey) this.redo(); else this.undo(); return; }
+      if (ctrl && e.key.toLowerCase() === 'y') { e.preventDefault(); this.redo(); return; }
+      if (ctrl && this.findBar && ['f', 'h'].includes(e.key.toLowerCase())) { e.preventDefault(); this.openFindBar({ replace: e.key.toLowerCase() === 'h' }); return; }
+      if (e.key === 'F3' && this._search) { e.preventDefault(); if (e.shiftKey) this.findPrevious(); else this.findNext(); return; }
+      if (e.key === 'Escape' && this._carets.length) { e.preventDefault(); this.clearCarets(); return; }
+      if (e.key === 'Escape' && this._search) { e.preventDefault(); if (this._findBar) this.closeFindBar(); else this.clearFind(); return; }
+      // Ctrl+C / Ctrl+X / Ctrl+V: no preventDefault, the native copy / cut / paste events do the work
+      if (ctrl && ['c', 'x', 'v'].includes(e.key.toLowerCase())) return;
 
-      if (e.key === 'ArrowLeft') {
+      if (e.key === 'Insert' && !ctrl && !e.shiftKey) { e.preventDefault(); this.setOverwrite(!this._overwrite); return; }
+
+      if (e.key === 'Enter') {
         e.preventDefault();
-        this.cursorPos = Math.max(0, this.cursorPos - 1);
-        this._clearSelection();
+        this._transact('newline', () => this._forEachCaret(() => this._insertNewline()));
         this._render();
+        this._emitChange();
         return;
       }
-      if (e.key === 'ArrowRight') {
+
+      if (this._handleNavigationKey(e)) {
         e.preventDefault();
-        this.cursorPos = Math.min(this.letterNodes.length, this.cursorPos + 1);
-        this._clearSelection();
-        this._render();
         return;
       }
 
@@ -733,11 +3380,11 @@ class Notepad {
       // But for desktop, keydown is reliable. We can check if key is a single char.
       if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
         e.preventDefault(); // Prevent 'input' event to avoid double insertion
-        this._insertChar(e.key);
+        this._transact('typing', () => this._forEachCaret(() => this._insertChar(e.key)), { coalesce: true });
         this._render();
-        this._emit('change');
+        this._emitChange();
       }
-    };
+    });
 
     this.textarea.addEventListener('keydown', this._onKeyDown);
     // Keep container listener for focus/shortcuts if needed, but textarea is main input
@@ -760,86 +3407,1069 @@ class Notepad {
     }
   }
 
+  // Arrows, Home/End, PageUp/PageDown (+ Ctrl/Alt/Shift). Returns true if the key was handled.
+  _handleNavigationKey(e) {
+    const ctrl = e.ctrlKey || e.metaKey;
+    const word = ctrl || e.altKey;
+    const extend = e.shiftKey;
+    const len = this.letterNodes.length;
+    const range = this._getSelectionRange();
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        if (range && !extend) this._moveCaret(range.start, false);
+        else this._moveCaret(word ? this._wordBoundaryLeft(this.cursorPos) : this.cursorPos - 1, extend);
+        return true;
+      case 'ArrowRight':
+        if (range && !extend) this._moveCaret(range.end, false);
+        else this._moveCaret(word ? this._wordBoundaryRight(this.cursorPos) : this.cursorPos + 1, extend);
+        return true;
+      case 'ArrowUp':
+        this._moveCaretByLines(-1, extend);
+        return true;
+      case 'ArrowDown':
+        this._moveCaretByLines(1, extend);
+        return true;
+      case 'PageUp':
+        this._moveCaretByLines(-this._linesPerPage(), extend);
+        return true;
+      case 'PageDown':
+        this._moveCaretByLines(this._linesPerPage(), extend);
+        return true;
+      case 'Home': {
+        if (ctrl) { this._moveCaret(0, extend); return true; }
+        const line = this._visualLineAt(this.cursorPos);
+        this._moveCaret(line ? line.start : 0, extend);
+        return true;
+      }
+      case 'End': {
+        if (ctrl) { this._moveCaret(len, extend); return true; }
+        const line = this._visualLineAt(this.cursorPos);
+        this._moveCaret(line ? line.end : len, extend);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Move the caret to pos; extend = grow the selection from its anchor instead of clearing it
+  _moveCaret(pos, extend, keepColumn = false) {
+    pos = Math.max(0, Math.min(pos, this.letterNodes.length));
+    this._carets = []; // keyboard navigation only moves the primary caret
+    if (extend) {
+      if (this.selectionStart === null) this.selectionStart = this.cursorPos;
+      this.selectionEnd = pos;
+    } else {
+      this._clearSelection();
+    }
+    this.cursorPos = pos;
+    if (!keepColumn) this._desiredX = null;
+    this._render();
+  }
+
+  // Up/Down: keep a "desired column" (x coordinate) while moving across visual lines
+  _moveCaretByLines(delta, extend) {
+    if (this._grid) {
+      // grid rows all have the same cells: keep the column exactly, stop at the first / last row
+      const col = this.cursorPos - this._hardLineStart(this.cursorPos);
+      let start = this._hardLineStart(this.cursorPos);
+      for (let k = 0; k < Math.abs(delta); k++) {
+        if (delta < 0 && start > 0) start = this._hardLineStart(start - 1);
+        else if (delta > 0 && this._hardLineEnd(start) < this.doc.length) start = this._hardLineEnd(start) + 1;
+        else break;
+      }
+      this._moveCaret(Math.min(start + col, this._hardLineEnd(start)), extend);
+      return;
+    }
+    const lines = this._visualLines();
+    if (!lines.length) return;
+    let li = lines.findIndex(l => this.cursorPos >= l.start && this.cursorPos <= l.end);
+    if (li < 0) li = lines.length - 1;
+
+    if (!this._desiredX || this._desiredX.pos !== this.cursorPos) {
+      this._desiredX = { x: this._caretX(lines[li], this.cursorPos), pos: this.cursorPos };
+    }
+    const x = this._desiredX.x;
+
+    const target = li + delta;
+    let pos;
+    if (target < 0) pos = 0;
+    else if (target >= lines.length) pos = this.letterNodes.length;
+    else {
+      const line = lines[target];
+      pos = line.start;
+      let best = Infinity;
+      for (let p = line.start; p <= line.end; p++) {
+        const d = Math.abs(this._caretX(line, p) - x);
+        if (d < best) { best = d; pos = p; }
+      }
+    }
+    this._moveCaret(pos, extend, true);
+    this._desiredX.pos = this.cursorPos;
+  }
+
+  _linesPerPage() {
+    const lines = this._visualLines();
+    const withBoxes = lines.filter(l => l.bottom > l.top);
+    const lineHeight = withBoxes.length ? (withBoxes[0].bottom - withBoxes[0].top) : (this.fontSize * 1.5);
+    return Math.max(1, Math.floor(this.container.clientHeight / Math.max(1, lineHeight)));
+  }
+
+  _isWordChar(i) {
+    const item = this.doc[i];
+    if (!item || item.text === '\n') return false;
+    return /[\p{L}\p{N}_]/u.test(item.text);
+  }
+
+  _wordBoundaryLeft(pos) {
+    let p = pos;
+    while (p > 0 && !this._isWordChar(p - 1)) p--;
+    while (p > 0 && this._isWordChar(p - 1)) p--;
+    return p;
+  }
+
+  _wordBoundaryRight(pos) {
+    const len = this.letterNodes.length;
+    let p = pos;
+    while (p < len && this._isWordChar(p)) p++;
+    while (p < len && !this._isWordChar(p)) p++;
+    return p;
+  }
+
+  _scrollCaretIntoView() {
+    try {
+      const c = this.cursor.getBoundingClientRect();
+      const box = this.container.getBoundingClientRect();
+      const top = box.top + this.container.clientTop;
+      const left = box.left + this.container.clientLeft;
+      const bottom = top + this.container.clientHeight;
+      const right = left + this.container.clientWidth;
+      if (c.top < top) this.container.scrollTop -= (top - c.top);
+      else if (c.bottom > bottom) this.container.scrollTop += (c.bottom - bottom);
+      if (c.left < left) this.container.scrollLeft -= (left - c.left);
+      else if (c.right > right) this.container.scrollLeft += (c.right - right);
+    } catch (e) { }
+  }
+
   _handleBackspace() {
+    if (this._carets.length) { this._deleteAtCarets(-1); return; }
     const range = this._getSelectionRange();
-    if (range) { this.cut(); return; }
+    if (range) {
+      // a plain deletion: keeps the caller's source and leaves the clipboard alone
+      this._transact('delete', () => this._cutSelection());
+      this._render();
+      this._emitChange();
+      return;
+    }
     if (this.cursorPos > 0) {
-      this.letterNodes[this.cursorPos - 1].remove();
-      this.letterNodes.splice(this.cursorPos - 1, 1);
-      this.cursorPos--;
+      this._transact('delete', () => this._deleteNextTo(-1));
       this._render();
-      this._emit('change');
+      this._emitChange();
     }
   }
 
   _handleDelete() {
+    if (this._carets.length) { this._deleteAtCarets(1); return; }
     const range = this._getSelectionRange();
-    if (range) { this.cut(); return; }
-    if (this.cursorPos < this.letterNodes.length) {
-      this.letterNodes[this.cursorPos].remove();
-      this.letterNodes.splice(this.cursorPos, 1);
+    if (range) {
+      // a plain deletion: keeps the caller's source and leaves the clipboard alone
+      this._transact('delete', () => this._cutSelection());
+      this._render();
+      this._emitChange();
+      return;
+    }
+    if (this.cursorPos < this.doc.length) {
+      this._transact('delete', () => this._deleteNextTo(1));
       this._render();
-      this._emit('change');
+      this._emitChange();
     }
   }
 
   _detachEvents() {
     this.container.removeEventListener('pointerdown', this._onPointerDown);
+    this.container.removeEventListener('scroll', this._onScroll);
     window.removeEventListener('pointermove', this._onPointerMove);
     window.removeEventListener('pointerup', this._onPointerUp);
     this.textarea.removeEventListener('keydown', this._onKeyDown);
     this.textarea.removeEventListener('input', this._onInput);
+    this.textarea.removeEventListener('copy', this._onCopy);
+    this.textarea.removeEventListener('cut', this._onCut);
+    this.textarea.removeEventListener('paste', this._onPaste);
     this.textarea.removeEventListener('compositionstart', this._onCompositionStart);
     this.textarea.removeEventListener('compositionend', this._onCompositionEnd);
   }
 
+  // ---------------- Internal: color rule engine ----------------
+  // Rules are evaluated per line. After every transaction only the lines around the edited region
+  // (_rulesDirty) are re-evaluated, and the changes are recorded as one recolor op of that step.
+  // A letter no rule matches anymore gets back the color it had before a rule colored it.
+
+  _setColorRules(rules) {
+    const list = Array.isArray(rules) ? rules.slice() : (rules ? [rules] : []);
+    this._compiledRules = list.map((rule, i) => this._compileColorRule(rule, i));
+    this._colorRules = list.length ? list : null;
+  }
+
+  _compileColorRule(rule, i) {
+    const fail = (msg) => { throw new Error('Regla de color ' + i + ' no válida: ' + msg); };
+    if (typeof rule === 'function') return { fn: rule };
+    if (!rule || typeof rule !== 'object') fail('debe ser un objeto o una función');
+    const color = rule.color;
+    if (typeof color !== 'string' && typeof color !== 'function') fail('falta "color"');
+    if (typeof color === 'string' && !Notepad.color.parse(color)) fail('color "' + color + '" no reconocido');
+    if (typeof rule.test === 'function') return { test: rule.test, color };
+    if (typeof rule.word !== 'undefined') {
+      const words = (Array.isArray(rule.word) ? rule.word : [rule.word]).filter(w => typeof w === 'string' && w.length);
+      if (!words.length) fail('"word" vacío');
+      const alt = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+      const flags = 'gu' + (rule.caseSensitive === false ? 'i' : '');
+      return { re: new RegExp('(?<![\\p{L}\\p{N}_])(?:' + alt + ')(?![\\p{L}\\p{N}_])', flags), color };
+    }
+    if (typeof rule.match !== 'undefined') {
+      let re = rule.match;
+      if (typeof re === 'string') re = new RegExp(re.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+      if (!(re instanceof RegExp)) fail('"match" debe ser RegExp o string');
+      return { re: new RegExp(re.source, re.flags.indexOf('g') >= 0 ? re.flags : re.flags + 'g'), color };
+    }
+    fail('necesita "match", "word" o "test"');
+  }
+
+  // Declarative rules ({ word } / { match } with a string color) in file form: a RegExp match
+  // becomes { source, flags }. Function rules, test rules and function colors are skipped.
+  static _colorRulesToJSON(rules) {
+    const out = [];
+    for (const rule of rules || []) {
+      if (!rule || typeof rule !== 'object' || typeof rule.color !== 'string' || typeof rule.test === 'function') continue;
+      if (typeof rule.word !== 'undefined') {
+        const r = { word: Array.isArray(rule.word) ? rule.word.slice() : rule.word, color: rule.color };
+        if (rule.caseSensitive === false) r.caseSensitive = false;
+        out.push(r);
+      } else if (rule.match instanceof RegExp) {
+        out.push({ match: { source: rule.match.source, flags: rule.match.flags }, color: rule.color });
+      } else if (typeof rule.match === 'string') {
+        out.push({ match: rule.match, color: rule.color });
+      }
+    }
+    return out;
+  }
+
+  static _colorRulesFromJSON(list) {
+    const rules = list.map(r => {
+      const rule = Object.assign({}, r);
+      if (r.match && typeof r.match === 'object') rule.match = new RegExp(r.match.source, r.match.flags);
+      return rule;
+    });
+    return rules.length ? rules : null;
+  }
+
+  // Same bookkeeping as _vMarkDirty: [a, b) in current coordinates, d = net length change
+  _rulesMarkDirty(i, removed, inserted) {
+    const d = this._rulesDirty;
+    if (!d) { this._rulesDirty = { a: i, b: i + inserted, d: inserted - removed }; return; }
+    d.a = Math.min(d.a, i);
+    d.b = Math.max(d.b, i + removed) + (inserted - removed);
+    d.d += inserted - removed;
+  }
+
+  // repairOnly: no color changes (used after undo / redo), just remember rule-colored letters
+  _applyColorRules(repairOnly) {
+    const dirty = this._rulesDirty;
+    this._rulesDirty = null;
+    if (!dirty || !this._compiledRules.length) return;
+    const doc = this.doc, len = doc.length;
+    let a = Math.max(0, Math.min(dirty.a, len)), b = Math.max(a, Math.min(dirty.b, len));
+    while (a > 0 && doc[a - 1].text !== '\n') a--;
+    while (b < len && doc[b].text !== '\n') b++;
+
+    let lineNumber = null;
+    const indices = [], before = [], after = [];
+    for (let start = a; start <= b;) {
+      let end = start;
+      while (end < len && doc[end].text !== '\n') end++;
+      if (lineNumber === null) {
+        lineNumber = 0;
+        for (let i = 0; i < start; i++) if (doc[i].text === '\n') lineNumber++;
+      }
+      const colors = this._evaluateLine(start, end, lineNumber);
+      for (let i = start; i < end; i++) {
+        const item = doc[i];
+        const ruled = colors[i - start];
+        const known = this._ruleBase.has(item);
+        if (repairOnly || item.color === ruled) {
+          if (ruled && item.color === ruled && !known) this._ruleBase.set(item, this._deterministicColorForChar(item.text, i));
+          continue;
+        }
+        if (!ruled && !known) continue;
+        const base = known ? this._ruleBase.get(item) : item.color;
+        const applied = this._updateItem(i, { color: ruled || base });
+        if (!applied) continue;
+        indices.push(i);
+        before.push(item.color);
+        after.push(applied.color);
+        if (ruled) this._ruleBase.set(applied, base);
+      }
+      start = end + 1;
+      lineNumber++;
+    }
+    if (indices.length) this._record({ type: 'recolor', indices, before, after });
+  }
+
+  // Rule color (or null) for every letter of the line doc[start..end)
+  _evaluateLine(start, end, lineNumber) {
+    const items = this.doc.slice(start, end);
+    const n = items.length;
+    const colors = new Array(n).fill(null);
+    if (!n) return colors;
+    // regexes work on UTF-16 offsets, letters may be longer than one code unit
+    const line = items.map(it => it.text).join('');
+    const unitToLetter = new Array(line.length);
+    let u = 0;
+    items.forEach((it, k) => { for (let j = 0; j < it.text.length; j++) unitToLetter[u++] = k; });
+
+    let words = null;
+    const wordAt = (k) => {
+      if (!words) {
+        words = new Array(n).fill('');
+        const re = /[\p{L}\p{N}_]+/gu;
+        let m;
+        while ((m = re.exec(line))) {
+          for (let j = m.index; j < m.index + m[0].length; j++) words[unitToLetter[j]] = m[0];
+        }
+      }
+      return words[k];
+    };
+    const ctxAt = (k, match) => ({
+      ch: items[k].text,
+      index: start + k,
+      column: k,
+      line,
+      lineNumber,
+      word: wordAt(k),
+      prev: k > 0 ? items[k - 1].text : (start > 0 ? '\n' : ''),
+      next: k < n - 1 ? items[k + 1].text : (end < this.doc.length ? '\n' : ''),
+      match: match || null
+    });
+    const resolve = (color, k, match) => {
+      if (typeof color !== 'function') return color;
+      try { return color(ctxAt(k, match)) || null; } catch (e) { console.error('colorRules error', e); return null; }
+    };
+
+    for (const rule of this._compiledRules) {
+      if (rule.re) {
+        rule.re.lastIndex = 0;
+        let m;
+        while ((m = rule.re.exec(line))) {
+          if (m[0].length === 0) { rule.re.lastIndex++; continue; }
+          const first = unitToLetter[m.index], last = unitToLetter[m.index + m[0].length - 1];
+          for (let k = first; k <= last; k++) if (colors[k] === null) colors[k] = resolve(rule.color, k, m[0]);
+        }
+      } else {
+        for (let k = 0; k < n; k++) {
+          if (colors[k] !== null || items[k].text === '\n') continue;
+          try {
+            if (rule.fn) colors[k] = rule.fn(ctxAt(k)) || null;
+            else if (rule.test(ctxAt(k))) colors[k] = resolve(rule.color, k);
+          } catch (e) { console.error('colorRules error', e); }
+        }
+      }
+    }
+    return colors;
+  }
+
+  // ---------------- Internal: file format ----------------
+
+  // Parse, migrate to Notepad.DOCUMENT_VERSION and validate. Returns { settings, items }.
+  // Static (no instance state) so stored documents can be read without a DOM, e.g. by Notepad.toANSI.
+  static _readDocument(json) {
+    let data = json;
+    if (typeof json === 'string') {
+      try { data = JSON.parse(json); } catch (e) { throw new Error('Documento no válido: JSON mal formado (' + e.message + ')'); }
+    }
+    // version 0: a bare array from getRichContent() or getDetailedJSON()
+    let version = Array.isArray(data) ? 0 : (data && typeof data === 'object' ? data.version : undefined);
+    if (typeof version !== 'number') throw new Error('Documento no válido: falta "version"');
+    if (version > Notepad.DOCUMENT_VERSION) throw new Error('Documento no válido: versión ' + version + ' no soportada (máximo ' + Notepad.DOCUMENT_VERSION + ')');
+    while (version < Notepad.DOCUMENT_VERSION) {
+      const migrate = Notepad.DOCUMENT_MIGRATIONS[version];
+      if (!migrate) throw new Error('Documento no válido: no hay migración desde la versión ' + version);
+      data = migrate(data);
+      version = data.version;
+    }
+    Notepad._validateDocument(data);
+    return {
+      settings: data.settings || {},
+      items: data.items.map(it => {
+        const out = { text: it.text, color: (it.text !== '\n' && it.color) || null };
+        if (it.style) out.style = Object.assign({}, it.style);
+        return out;
+      })
+    };
+  }
+
+  static _validateDocument(data) {
+    const fail = (path, msg) => { throw new Error('Documento no válido: ' + path + ' ' + msg); };
+    const isColor = (v) => v === null || typeof v === 'string';
+    const checkTypes = (obj, path, types) => {
+      if (obj === undefined) return;
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) fail(path, 'debe ser un objeto');
+      for (const k of Object.keys(types)) {
+        if (obj[k] === undefined) continue;
+        const ok = types[k].split('|').some(t => t === 'null' ? obj[k] === null : typeof obj[k] === t);
+        if (!ok) fail(path + '.' + k, 'debe ser de tipo ' + types[k]);
+      }
+    };
+    const checkKeys = (obj, path, keys) => {
+      for (const k of Object.keys(obj)) if (keys.indexOf(k) < 0) fail(path + '.' + k, 'no es una propiedad de estilo conocida');
+    };
+    const checkLine = (obj, path) => {
+      checkTypes(obj, path, { align: 'string', background: 'string', spacing: 'number', indent: 'number' });
+      checkKeys(obj, path, Notepad.LINE_STYLE_KEYS);
+      if (obj.align !== undefined && Notepad.LINE_ALIGNMENTS.indexOf(obj.align) < 0) fail(path + '.align', 'debe ser ' + Notepad.LINE_ALIGNMENTS.join(' | '));
+    };
+    if (data.format !== 'notepad') fail('format', 'debe ser "notepad"');
+    const s = data.settings;
+    checkTypes(s, 'settings', { textColor: 'string', autoTextColor: 'boolean|object|null', font: 'object', letter: 'object', container: 'object', colorRules: 'object', grid: 'object|null', lastLine: 'object|null' });
+    if (s) {
+      checkTypes(s.font, 'settings.font', { family: 'string', size: 'number' });
+      checkTypes(s.letter, 'settings.letter', { padX: 'number', padY: 'number', marginX: 'number|string', borderRadius: 'number', borderWidth: 'number', borderColor: 'string' });
+      checkTypes(s.container, 'settings.container', { padding: 'string', background: 'string', borderWidth: 'string', borderColor: 'string', borderRadius: 'string', borderStyle: 'string' });
+      checkTypes(s.colorRules, 'settings.colorRules', { noteColorMap: 'object|null', colorMap: 'object|null', colorSequence: 'object|null', sequenceIndex: 'number', rules: 'object' });
+      if (s.grid) checkTypes(s.grid, 'settings.grid', { cols: 'number', rows: 'number', cellWidth: 'number|null', cellHeight: 'number|null' });
+      if (s.lastLine) checkLine(s.lastLine, 'settings.lastLine');
+      if (s.autoTextColor && typeof s.autoTextColor === 'object') {
+        const a = s.autoTextColor;
+        checkTypes(a, 'settings.autoTextColor', { light: 'string', dark: 'string', contrast: 'number' });
+        for (const k of ['light', 'dark']) if (a[k] !== undefined && !Notepad.color.parse(a[k])) fail('settings.autoTextColor.' + k, 'debe ser un color');
+        if (a.contrast !== undefined && !(a.contrast > 0)) fail('settings.autoTextColor.contrast', 'debe ser un número positivo');
+      }
+      const rules = s.colorRules || {};
+      for (const k of ['noteColorMap', 'colorMap']) {
+        if (!rules[k]) continue;
+        if (Array.isArray(rules[k])) fail('settings.colorRules.' + k, 'debe ser un objeto');
+        for (const key of Object.keys(rules[k])) if (!isColor(rules[k][key])) fail('settings.colorRules.' + k + '.' + key, 'debe ser un color');
+      }
+      if (rules.colorSequence && (!Array.isArray(rules.colorSequence) || !rules.colorSequence.every(c => typeof c === 'string'))) {
+        fail('settings.colorRules.colorSequence', 'debe ser un array de colores');
+      }
+      if (rules.rules !== undefined) {
+        if (!Array.isArray(rules.rules)) fail('settings.colorRules.rules', 'debe ser un array');
+        rules.rules.forEach((r, i) => {
+          const path = 'settings.colorRules.rules[' + i + ']';
+          checkTypes(r, path, { color: 'string', word: 'string|object', match: 'string|object', caseSensitive: 'boolean' });
+          if (!Notepad.color.parse(r.color)) fail(path + '.color', 'debe ser un color');
+          if (r.word !== undefined) {
+            if (typeof r.word !== 'string' && !(Array.isArray(r.word) && r.word.every(w => typeof w === 'string'))) fail(path + '.word', 'debe ser un string o un array de strings');
+          } else if (r.match && typeof r.match === 'object') {
+            checkTypes(r.match, path + '.match', { source: 'string', flags: 'string' });
+            try { new RegExp(r.match.source, r.match.flags); } catch (e) { fail(path + '.match', 'no es una expresión regular válida (' + e.message + ')'); }
+          } else if (typeof r.match !== 'string') {
+            fail(path, 'necesita "match" o "word"');
+          }
+        });
+      }
+    }
+    if (!Array.isArray(data.items)) fail('items', 'debe ser un array');
+    data.items.forEach((it, i) => {
+      const path = 'items[' + i + ']';
+      if (!it || typeof it !== 'object') fail(path, 'debe ser un objeto');
+      if (typeof it.text !== 'string' || it.text.length === 0) fail(path + '.text', 'debe ser un string no vacío');
+      if (it.color !== undefined && !isColor(it.color)) fail(path + '.color', 'debe ser un color o null');
+      if (it.style === undefined || it.style === null) return;
+      // a newline's style is the format of the line it ends
+      if (it.text === '\n') { checkLine(it.style, path + '.style'); return; }
+      checkTypes(it.style, path + '.style', {
+        textColor: 'string', fontWeight: 'string|number', fontStyle: 'string', underline: 'boolean',
+        borderWidth: 'number', borderColor: 'string', borderRadius: 'number', opacity: 'number'
+      });
+      checkKeys(it.style, path + '.style', Notepad.LETTER_STYLE_KEYS);
+    });
+  }
+
+  // ---------------- Internal: clipboard ----------------
+
+  // Remove the selection of every caret as one step
+  _cutSelection() {
+    this._transact('cut', () => this._forEachCaret(() => {
+      const range = this._getSelectionRange();
+      if (!range) return;
+      this._deleteRange(range.start, range.end);
+      this.cursorPos = range.start;
+      this._clearSelection();
+    }));
+  }
+
+  // Insert items ({ text, color?, style? }) at the caret, replacing the selection, as one step.
+  // Items without a color get one from the color rules. With several carets, text with one line
+  // per caret is distributed (line k to caret k); anything else is pasted at every caret.
+  _pasteItems(items) {
+    this._transact('paste', () => {
+      const lines = [[]];
+      if (this._carets.length) {
+        for (const item of items) {
+          if (item.text === '\n') lines.push([]);
+          else lines[lines.length - 1].push(item);
+        }
+      }
+      const perCaret = lines.length === this._carets.length + 1 && lines.length > 1;
+      this._forEachCaret((k) => {
+        const range = this._getSelectionRange();
+        if (range) {
+          this._deleteRange(range.start, range.end);
+          this.cursorPos = range.start;
+          this._clearSelection();
+        }
+        // on a grid the pasted lines form a block: each one starts at the caret's column
+        const col = this.cursorPos - this._hardLineStart(this.cursorPos);
+        for (let item of (perCaret ? lines[k] : items)) {
+          if (item.text !== '\n') this._insertChar(item.text, item.color, item.style);
+          else if (this._grid) this._gridNextRow(col);
+          else this._insertNewline(item.style); // no format of its own: the line keeps its format
+        }
+      });
+    });
+    this._emit('paste', items.slice());
+  }
+
+  _writeClipboardData(data, items) {
+    data.setData('text/plain', this._clipboardText(items));
+    data.setData('text/html', this._clipboardHTML(items));
+    try { data.setData(Notepad.CLIPBOARD_MIME, JSON.stringify({ version: 1, items })); } catch (e) { }
+  }
+
+  // Richest available format first: our JSON, then HTML (colored spans from us or other apps), then text
+  _readClipboardData(data) {
+    const json = data.getData(Notepad.CLIPBOARD_MIME);
+    if (json) {
+      try {
+        const parsed = JSON.parse(json);
+        if (parsed && Array.isArray(parsed.items)) {
+          return parsed.items
+            .filter(it => it && typeof it.text === 'string' && it.text.length)
+            .map(it => it.text === '\n'
+              ? { text: '\n', color: null, style: it.style ? this._mergeLetterStyle(null, it.style, Notepad.LINE_STYLE_KEYS) : undefined }
+              : { text: it.text, color: it.color || null, style: this._mergeLetterStyle(null, it.style) });
+        }
+      } catch (e) { }
+    }
+    const html = data.getData('text/html');
+    if (html) {
+      const items = this._itemsFromHTML(html);
+      if (items.length) return items;
+    }
+    return this._itemsFromPlainText(data.getData('text/plain') || '');
+  }
+
+  _clipboardText(items) {
+    return items.map(o => o.text).join('');
+  }
+
+  // One inline-styled span per letter (pastes into mail clients, docs, other notepads)
+  _clipboardHTML(items) {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const spans = items.map(item => {
+      if (item.text === '\n') return '<br>';
+      const st = this._resolveLetterStyle(item);
+      const css = [
+        `background-color:${item.color || 'transparent'}`,
+        `color:${st.textColor}`,
+        `padding:${this._letterPadY}px ${this._letterPadX}px`,
+        `border-radius:${st.borderRadius}px`
+      ];
+      if (st.borderWidth > 0) css.push(`border:${st.borderWidth}px solid ${st.borderColor}`);
+      if (st.fontWeight !== 'normal') css.push(`font-weight:${st.fontWeight}`);
+      if (st.fontStyle !== 'normal') css.push(`font-style:${st.fontStyle}`);
+      if (st.underline) css.push('text-decoration:underline');
+      if (st.opacity < 1) css.push(`opacity:${st.opacity}`);
+      return `<span style="${esc(css.join(';'))}">${esc(item.text)}</span>`;
+    });
+    return `<div style="${esc(`font-family:${this.fontFamily};font-size:${this.fontSize}px;line-height:1.5;white-space:pre-wrap`)}">${spans.join('')}</div>`;
+  }
+
+  _itemsFromPlainText(text) {
+    const items = [];
+    for (const ch of text.replace(/\r\n?/g, '\n')) items.push(ch === '\n' ? { text: '\n', color: null } : { text: ch, color: null });
+    return items;
+  }
+
+  // Walk pasted HTML: <br> and block elements become newlines, and each letter keeps the inline
+  // background color (-> letter color), text color, weight, style and underline of its ancestors.
+  _itemsFromHTML(html) {
+    let root;
+    try { root = new window.DOMParser().parseFromString(html, 'text/html').body; } catch (e) { return []; }
+    const BLOCKS = /^(DIV|P|LI|TR|H[1-6]|PRE|BLOCKQUOTE|UL|OL|TABLE)$/;
+    const items = [];
+    const newline = () => items.push({ text: '\n', color: null });
+    const inherited = (el, prop) => {
+      for (let n = el; n && n !== root; n = n.parentElement) {
+        const v = n.style && n.style[prop];
+        if (v) return v;
+      }
+      return '';
+    };
+    const walk = (node) => {
+      for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === 3) {
+          const el = child.parentElement;
+          const pre = /^pre/.test(inherited(el, 'whiteSpace')) || !!(el && el.closest('pre'));
+          let text = pre ? child.data : child.data.replace(/[\r\n\t ]+/g, ' ');
+          // collapsed whitespace at the start of a line (e.g. between blocks) is not rendered
+          if (!pre && (!items.length || items[items.length - 1].text === '\n')) text = text.replace(/^ /, '');
+          if (!text) continue;
+          const bg = inherited(el, 'backgroundColor');
+          const fg = inherited(el, 'color');
+          const weight = inherited(el, 'fontWeight') || (el && el.closest('b,strong') ? 'bold' : '');
+          const fstyle = inherited(el, 'fontStyle') || (el && el.closest('i,em') ? 'italic' : '');
+          const underline = /underline/.test(inherited(el, 'textDecoration') || inherited(el, 'textDecorationLine')) || !!(el && el.closest('u'));
+          const style = this._mergeLetterStyle(null, {
+            textColor: fg || null,
+            fontWeight: (weight && weight !== 'normal' && weight !== '400') ? weight : null,
+            fontStyle: (fstyle && fstyle !== 'normal') ? fstyle : null,
+            underline: underline || null
+          });
+          const color = (bg && !this._isTransparent(bg)) ? bg : null;
+          for (const ch of text.replace(/\r\n?/g, '\n')) {
+            if (ch === '\n') newline();
+            else items.push({ text: ch, color, style });
+          }
+        } else if (child.nodeType === 1) {
+          if (child.tagName === 'BR') { newline(); continue; }
+          const block = BLOCKS.test(child.tagName);
+          if (block && items.length && items[items.length - 1].text !== '\n') newline();
+          walk(child);
+          if (block && items.length && items[items.length - 1].text !== '\n' && child.nextSibling) newline();
+        }
+      }
+    };
+    walk(root);
+    return items;
+  }
+
+  // ---------------- Internal: history ----------------
+
+  // Run fn as one undoable step. Nested calls join the outer transaction.
+  // opts.coalesce: merge into the previous step when it is a contiguous typing run.
+  _transact(label, fn, opts = {}) {
+    if (this._txn || this._applyingHistory) return fn();
+    this._txn = { label, ops: [], before: this._caretState(), after: null, time: Date.now(), coalesce: !!opts.coalesce };
+    try {
+      return fn();
+    } finally {
+      if (this._grid && !this._applyingRemote) this._gridNormalize();
+      if (this._rulesDirty) this._applyColorRules(false);
+      const txn = this._txn;
+      this._txn = null;
+      if (txn.ops.length) {
+        txn.after = this._caretState();
+        this._pushHistory(txn);
+      }
+    }
+  }
+
+  _record(op) {
+    if (this._applyingHistory) return;
+    if (op.type !== 'settings') this._changes.push(op);
+    if (this._applyingRemote) return; // peers' edits are not local undo steps
+    if (this._txn) { this._txn.ops.push(op); return; }
+    // mutation outside any transaction: keep it as its own step
+    const state = this._caretState();
+    this._pushHistory({ label: 'edit', ops: [op], before: state, after: state, time: Date.now(), coalesce: false });
+  }
+
+  _pushHistory(txn) {
+    const last = this._undoStack[this._undoStack.length - 1];
+    if (txn.coalesce && last && last.coalesce && this._redoStack.length === 0 &&
+      txn.time - last.time <= this.historyCoalesceMs &&
+      last.after.cursorPos === txn.before.cursorPos &&
+      txn.ops[0].type === 'insert' && txn.ops.every(op => op.type === 'insert' || op.type === 'recolor') &&
+      !this._breaksTypingRun(last, txn)) {
+      last.ops.push(...txn.ops);
+      last.after = txn.after;
+      last.time = txn.time;
+      return;
+    }
+    this._undoStack.push(txn);
+    if (this.historyLimit > 0 && this._undoStack.length > this.historyLimit) this._undoStack.shift();
+    this._redoStack = [];
+  }
+
+  // A typing run ends when a word is finished (first space after non-space)
+  _breaksTypingRun(last, txn) {
+    const prevOp = last.ops.filter(op => op.type === 'insert').pop();
+    const prevItem = prevOp ? prevOp.items[prevOp.items.length - 1] : null;
+    const nextItem = txn.ops[0].items[0];
+    const isSpace = (item) => !!item && /\s/.test(item.text);
+    return isSpace(nextItem) && !isSpace(prevItem);
+  }
+
+  _caretState() {
+    return {
+      cursorPos: this.cursorPos,
+      selectionStart: this.selectionStart,
+      selectionEnd: this.selectionEnd,
+      carets: this._carets.map(c => ({ pos: c.pos, anchor: c.anchor }))
+    };
+  }
+
+  _replayEntry(entry, reverse) {
+    this._applyingHistory = true;
+    try {
+      if (reverse) {
+        for (let i = entry.ops.length - 1; i >= 0; i--) this._applyOp(entry.ops[i], true);
+      } else {
+        for (const op of entry.ops) this._applyOp(op, false);
+      }
+    } finally {
+      this._applyingHistory = false;
+    }
+    // report what the step did to the document (see _emitChange)
+    const ops = reverse ? entry.ops.slice().reverse().map(op => this._invertOp(op)) : entry.ops;
+    for (const op of ops) if (op.type !== 'settings') this._changes.push(op);
+    // history restored the colors already; only re-learn which letters carry rule colors
+    if (this._rulesDirty) this._applyColorRules(true);
+    const state = reverse ? entry.before : entry.after;
+    const len = this.letterNodes.length;
+    const clamp = (v) => (v === null ? null : Math.max(0, Math.min(v, len)));
+    this.cursorPos = clamp(state.cursorPos);
+    this.selectionStart = clamp(state.selectionStart);
+    this.selectionEnd = clamp(state.selectionEnd);
+    this._carets = (state.carets || []).map(c => ({ pos: clamp(c.pos), anchor: clamp(c.anchor) }));
+    this._normalizeCarets();
+  }
+
+  // The op that undoes op
+  _invertOp(op) {
+    switch (op.type) {
+      case 'insert': return { type: 'delete', index: op.index, items: op.items };
+      case 'delete': return { type: 'insert', index: op.index, items: op.items };
+      case 'settings': return op;
+      default: return Object.assign({}, op, { before: op.after, after: op.before });
+    }
+  }
+
+  _applyOp(op, reverse) {
+    const insert = (op.type === 'insert') !== reverse;
+    switch (op.type) {
+      case 'insert':
+      case 'delete':
+        if (insert) this._insertItems(op.index, op.items);
+        else this._removeItems(op.index, op.index + op.items.length);
+        break;
+      case 'recolor': {
+        const colors = reverse ? op.before : op.after;
+        op.indices.forEach((idx, k) => {
+          if (this.doc[idx] && this.doc[idx].text !== '\n') this._updateItem(idx, { color: colors[k] });
+        });
+        break;
+      }
+      case 'restyle': {
+        const items = reverse ? op.before : op.after;
+        op.indices.forEach((idx, k) => {
+          if (this.doc[idx]) this._updateItem(idx, items[k]);
+        });
+        break;
+      }
+      case 'settings':
+        this._applySettingsState(reverse ? op.before : op.after);
+        break;
+    }
+  }
+
+  // Run a settings change (font, spacing, container style, color rules) as an undoable step
+  _trackSettings(label, fn) {
+    this._transact(label, () => {
+      const before = this._settingsState();
+      fn();
+      this._layoutCache = null;
+      this._record({ type: 'settings', before, after: this._settingsState() });
+    });
+  }
+
+  _settingsState() {
+    const cs = this.container.style;
+    return {
+      fontFamily: this.fontFamily,
+      fontSize: this.fontSize,
+      letterPadY: this._letterPadY,
+      letterPadX: this._letterPadX,
+      letterMarginX: this._letterMarginX,
+      letterBorderRadius: this._letterBorderRadius,
+      letterBorderWidth: this._letterBorderWidth,
+      letterBorderColor: this._letterBorderColor,
+      textColor: this._textColor,
+      textColorFunc: this.textColorFunc,
+      autoTextColor: this._autoTextColor ? Object.assign({}, this._autoTextColor) : null,
+      containerPadding: this._containerPadding,
+      container: {
+        background: cs.background,
+        borderWidth: cs.borderWidth,
+        borderColor: cs.borderColor,
+        borderRadius: cs.borderRadius,
+        borderStyle: cs.borderStyle
+      },
+      noteColorMap: this.noteColorMap ? Object.assign({}, this.noteColorMap) : null,
+      colorMap: this.colorMap ? Object.assign({}, this.colorMap) : null,
+      colorSequence: this.colorSequence ? this.colorSequence.slice() : null,
+      colorFunc: this.colorFunc,
+      colorRules: this._colorRules ? this._colorRules.slice() : null,
+      seqIndex: this._seqIndex,
+      grid: this._grid ? Object.assign({}, this._grid) : null,
+      lastLine: this._lastLine ? Object.assign({}, this._lastLine) : null
+    };
+  }
+
+  _applySettingsState(st) {
+    this.fontFamily = st.fontFamily;
+    this.fontSize = st.fontSize;
+    this._letterPadY = st.letterPadY;
+    this._letterPadX = st.letterPadX;
+    this._letterMarginX = st.letterMarginX;
+    this._letterBorderRadius = st.letterBorderRadius;
+    this._letterBorderWidth = st.letterBorderWidth;
+    this._letterBorderColor = st.letterBorderColor;
+    this._textColor = st.textColor;
+    this.textColorFunc = st.textColorFunc;
+    this._autoTextColor = st.autoTextColor ? Object.assign({}, st.autoTextColor) : null;
+    this._containerPadding = st.containerPadding;
+    Object.assign(this.container.style, st.container);
+    this.container.style.padding = st.containerPadding;
+    this._grid = st.grid ? Object.assign({}, st.grid) : null;
+    this._lastLine = st.lastLine ? Object.assign({}, st.lastLine) : null;
+    this._applyGrid();
+    this.noteColorMap = st.noteColorMap ? Object.assign({}, st.noteColorMap) : null;
+    this.colorMap = st.colorMap ? Object.assign({}, st.colorMap) : null;
+    this.colorSequence = st.colorSequence ? st.colorSequence.slice() : null;
+    this.colorFunc = st.colorFunc;
+    this._setColorRules(st.colorRules);
+    this._seqIndex = st.seqIndex;
+    this._applyFont();
+    this._applyLetterStyles();
+  }
+
   // ---------------- Internal: insert / color lookup ----------------
 
-  _insertChar(ch, explicitColor = null) {
+  _insertChar(ch, explicitColor = null, style = null) {
     if (ch === '\n') { this._insertNewline(); return; }
 
     const sel = this._getSelectionRange();
     if (sel) {
-      for (let i = sel.end - 1; i >= sel.start; i--) {
-        this.letterNodes[i].remove();
-        this.letterNodes.splice(i, 1);
-      }
+      this._deleteRange(sel.start, sel.end);
       this.cursorPos = sel.start;
       this._clearSelection();
     }
-
-    const span = document.createElement('span');
-    span.textContent = ch;
+    // a grid row ends at its last column: nothing wraps to the next one
+    if (this._grid && this.cursorPos - this._hardLineStart(this.cursorPos) >= this._grid.cols) return;
+    // overwrite mode replaces the letter after the caret (never a newline); a replaced selection
+    // already made room, except on a grid where it only cleared the cells
+    const next = this.doc[this.cursorPos];
+    if (this._overwrite && (!sel || this._grid) && next && next.text !== '\n') this._removeItems(this.cursorPos, this.cursorPos + 1);
 
     const color = explicitColor || this._getColorForChar(ch);
+    this.cursorPos += this._insertItems(this.cursorPos, [{ text: ch, color, style: this._mergeLetterStyle(null, style) }]);
+  }
+
+  // format: line format of the new newline (i.e. of the line it ends); by default the line being
+  // split keeps its format on both halves
+  _insertNewline(format) {
+    // on a grid Enter moves to the start of the next row
+    if (this._grid) { this._clearSelection(); this._gridNextRow(0); return; }
+    const sel = this._getSelectionRange();
+    if (sel) {
+      this._removeItems(sel.start, sel.end);
+      this.cursorPos = sel.start;
+      this._clearSelection();
+    }
+    const style = (typeof format !== 'undefined') ? format : this._lineStyleAt(this.cursorPos);
+    const item = { text: '\n', color: null };
+    if (style) item.style = style;
+    this.cursorPos += this._insertItems(this.cursorPos, [item]);
+  }
+
+  // ---------------- Internal: document model ----------------
+
+  // Items are treated as immutable: every change replaces the item, so history can share them.
+  _cloneItem(item) {
+    const out = { text: item.text, color: (item.text !== '\n' && item.color) || null };
+    if (item.style) out.style = Object.assign({}, item.style);
+    return out;
+  }
+
+  // Every change to the document goes through _insertItems / _removeItems / _updateItem,
+  // which keep doc, letterNodes and the DOM in step and let history record the change.
+  // Each returns what it did (inserted count, removed count, new item) or 0 / null when a
+  // 'beforechange' listener cancelled it. Listeners are not asked while history is replayed
+  // or while a peer's edits are applied.
+  _insertItems(index, items) {
+    if (!items.length) return 0;
+    if (this.handlers.beforechange && !this._applyingHistory && !this._applyingRemote) {
+      const ev = this._beforeChange({ type: 'insert', index, items: items.slice() });
+      if (!ev || !Array.isArray(ev.items) || !ev.items.length) return 0;
+      items = ev.items;
+    }
+    const copies = items.map(item => this._cloneItem(item));
+    this._splice(this.doc, index, 0, copies);
+    if (this._compiledRules.length) this._rulesMarkDirty(index, 0, copies.length);
+    if (this._search) this._search.stale = true;
+    if (this._carets.length) this._shiftCarets(index, index, copies.length);
+    if (this._virtual) {
+      this._splice(this.letterNodes, index, 0, new Array(copies.length).fill(null));
+      this._vMarkDirty(index, 0, copies.length);
+      this._record({ type: 'insert', index, items: copies });
+      return copies.length;
+    }
+    const nodes = copies.map((item, k) => this._createNode(item, index + k));
+    this._layoutCache = null;
+    this._splice(this.letterNodes, index, 0, nodes);
+    this._domInsert(index, nodes);
+    const r = this._renderedSelection;
+    if (r && index > r.start && index < r.end) {
+      // keep the remembered highlighted range uniform: new nodes inside it are highlighted too
+      for (const n of nodes) if (n.tagName !== 'BR') n.classList.add('notepad-letter-selected');
+    }
+    this._shiftRenderedSelection(index, index, nodes.length);
+    this._record({ type: 'insert', index, items: copies });
+    return copies.length;
+  }
+
+  _removeItems(start, end) {
+    if (end <= start) return 0;
+    if (this.handlers.beforechange && !this._applyingHistory && !this._applyingRemote) {
+      if (!this._beforeChange({ type: 'delete', start, end, items: this.doc.slice(start, end) })) return 0;
+    }
+    const removed = this.doc.splice(start, end - start);
+    if (this._compiledRules.length) this._rulesMarkDirty(start, end - start, 0);
+    if (this._search) this._search.stale = true;
+    if (this._carets.length) this._shiftCarets(start, end, 0);
+    const nodes = this.letterNodes.splice(start, end - start);
+    if (this._virtual) { for (const n of nodes) if (n) n.remove(); }
+    else this._domRemove(start, nodes);
+    this._layoutCache = null;
+    if (this._virtual) this._vMarkDirty(start, end - start, 0);
+    this._shiftRenderedSelection(start, end, 0);
+    this._record({ type: 'delete', index: start, items: removed });
+    return removed.length;
+  }
+
+  // patch: { color?, style? } (style replaces the whole override record)
+  _updateItem(i, patch) {
+    const prev = this.doc[i];
+    const next = { text: prev.text, color: ('color' in patch) ? patch.color : prev.color };
+    let style = ('style' in patch) ? patch.style : prev.style;
+    if (this.handlers.beforechange && !this._applyingHistory && !this._applyingRemote) {
+      const ev = this._beforeChange({
+        type: 'restyle', index: i,
+        before: { color: prev.color, style: prev.style || null },
+        after: { color: next.color, style: style || null }
+      });
+      if (!ev || !ev.after) return null;
+      next.color = ev.after.color;
+      style = ev.after.style;
+    }
+    if (style) next.style = Object.assign({}, style);
+    this.doc[i] = next;
+    if (this._virtual) { this._vMarkDirty(i, 1, 1); return next; }
+    this._layoutCache = null;
+    const n = this.letterNodes[i];
+    if (n && n.tagName !== 'BR') this._styleLetterSpan(n, next, i);
+    else if (n) this._styleLine(n.parentNode, next.style);
+    return next;
+  }
+
+  // Array splice that also works for very large insertions (no argument spreading)
+  _splice(arr, index, removeCount, items) {
+    if (items.length < 8192) return arr.splice(index, removeCount, ...items);
+    const removed = arr.splice(index, removeCount);
+    const tail = arr.splice(index);
+    for (const it of items) arr.push(it);
+    for (const it of tail) arr.push(it);
+    return removed;
+  }
+
+  // ---------------- Internal: DOM rendering ----------------
+
+  _createNode(item, index) {
+    if (item.text === '\n') {
+      const br = document.createElement('br');
+      br.className = 'notepad-newline';
+      return br;
+    }
+    const span = document.createElement('span');
+    span.textContent = item.text;
+    if (item.text === ' ') span.className = 'notepad-space'; // stretches on justified lines
     span.style.display = 'inline-block';
-    span.style.backgroundColor = color;
-    span.style.color = 'white';
-    span.style.padding = `${this._letterPadY}px ${this._letterPadX}px`;
-    span.style.margin = (typeof this._letterMarginX === 'number') ? `0 ${this._letterMarginX}px` : this._letterMarginX;
-    span.style.borderRadius = this._letterBorderRadius + 'px';
-    span.style.border = this._letterBorderWidth + 'px solid ' + this._letterBorderColor;
     // NOTE: do NOT set fontFamily or fontSize inline so spans inherit from container
-    span.dataset.color = color;
+    this._styleLetterSpan(span, item, index);
+    return span;
+  }
+
+  // Every logical line is a div.notepad-line holding its letters and the <br> that ends it (the
+  // last line has none); caret elements sit inside the line of the letter they precede.
+  _createLine() {
+    const div = document.createElement('div');
+    div.className = 'notepad-line';
+    return div;
+  }
 
-    this.letterNodes.splice(this.cursorPos, 0, span);
-    this.cursorPos++;
+  // Insert freshly created nodes at model index (the cursor is re-placed by _render). Inserted
+  // newlines split the line they land in: what follows them moves to new line divs.
+  _domInsert(index, nodes) {
+    let ref = this.letterNodes[index + nodes.length] || null;
+    if (ref && (!ref.parentNode || ref.parentNode.parentNode !== this.content)) ref = null;
+    const line = ref ? ref.parentNode : this.content.lastChild;
+    if (!nodes.some(n => n.tagName === 'BR')) {
+      if (nodes.length === 1) { line.insertBefore(nodes[0], ref); return; }
+      const frag = document.createDocumentFragment();
+      for (const n of nodes) frag.appendChild(n);
+      line.insertBefore(frag, ref);
+      return;
+    }
+    const tail = document.createDocumentFragment();
+    while (ref && ref.parentNode === line) {
+      const next = ref.nextSibling;
+      tail.appendChild(ref);
+      ref = next;
+    }
+    const added = document.createDocumentFragment();
+    let cur = line, frag = document.createDocumentFragment();
+    nodes.forEach((n, k) => {
+      frag.appendChild(n);
+      if (n.tagName !== 'BR') return;
+      cur.appendChild(frag);
+      this._styleLine(cur, this.doc[index + k].style);
+      cur = this._createLine();
+      added.appendChild(cur);
+    });
+    cur.appendChild(frag);
+    cur.appendChild(tail);
+    this._styleLine(cur, this._lineStyleAt(index + nodes.length));
+    this.content.insertBefore(added, line.nextSibling);
   }
 
-  _insertNewline() {
-    const sel = this._getSelectionRange();
-    if (sel) {
-      for (let i = sel.end - 1; i >= sel.start; i--) {
-        this.letterNodes[i].remove();
-        this.letterNodes.splice(i, 1);
-      }
-      this.cursorPos = sel.start;
-      this._clearSelection();
+  // Remove the nodes that were at model index [index, index + nodes.length). Removed newlines join
+  // their line with the one holding what follows; the lines in between are dropped.
+  _domRemove(index, nodes) {
+    if (!nodes.some(n => n.tagName === 'BR')) {
+      for (const n of nodes) n.remove();
+      return;
     }
-    const br = document.createElement('br');
-    br.className = 'notepad-newline';
-    this.letterNodes.splice(this.cursorPos, 0, br);
-    this.cursorPos++;
+    const line = nodes[0].parentNode;
+    const next = this.letterNodes[index];
+    const last = next ? next.parentNode : this.content.lastChild;
+    for (const n of nodes) n.remove();
+    while (line.nextSibling && line.nextSibling !== last) line.nextSibling.remove();
+    if (last !== line) {
+      const frag = document.createDocumentFragment();
+      while (last.firstChild) frag.appendChild(last.firstChild);
+      line.appendChild(frag);
+      last.remove();
+    }
+    this._styleLine(line, this._lineStyleAt(index));
+  }
+
+  // Put a caret element right before letter pos, inside that letter's line (flow mode)
+  _placeInLine(node, pos) {
+    const ref = this.letterNodes[pos] || null;
+    const line = ref ? ref.parentNode : this.content.lastChild;
+    if (node.parentNode !== line || node.nextSibling !== ref) line.insertBefore(node, ref);
   }
 
   _getColorForChar(ch) {
@@ -853,7 +4483,7 @@ class Notepad {
     // colorFunc
     if (typeof this.colorFunc === 'function') {
       try {
-        const c = this.colorFunc(ch, this.letterNodes.length, this._seqIndex);
+        const c = this.colorFunc(ch, this.doc.length, this._seqIndex);
         if (c) { this._seqIndex++; return c; }
       } catch (e) { console.error('colorFunc error', e); }
     }
@@ -906,40 +4536,89 @@ class Notepad {
   }
 
   _clearAll() {
-    for (let n of this.letterNodes) n.remove();
-    this.letterNodes = [];
+    this._removeItems(0, this.doc.length);
+    this._carets = [];
     this.cursorPos = 0;
     this._clearSelection();
     this._seqIndex = 0;
   }
 
+  // Cheap per-change refresh: nodes are already patched by the model primitives,
+  // here the cursor is moved in place and only the selection difference is restyled.
   _render() {
-    this.content.innerHTML = '';
-    for (let i = 0; i < this.letterNodes.length; i++) {
-      const node = this.letterNodes[i];
-      node.dataset.index = i;
+    if (this._virtual) {
+      this._vRender();
+    } else {
+      this._placeInLine(this.cursor, this.cursorPos);
+      this._renderLines();
     }
 
-    for (let i = 0; i < this.cursorPos; i++) this.content.appendChild(this.letterNodes[i]);
-    this.content.appendChild(this.cursor);
-    for (let i = this.cursorPos; i < this.letterNodes.length; i++) this.content.appendChild(this.letterNodes[i]);
-
     this._updateSelectionVisual();
+    if (this._carets.length || this._caretNodes.length || this._paintedCaretSelections.length) this._renderCarets();
+    if (this._sync ? !this._changes.length : this._peerNodes.length) {
+      // with local ops still pending, _syncLocal announces the caret and repaints the peers
+      this._syncPresence();
+      this._renderPeers();
+    }
+    if (this._search && (this._search.stale || this._virtual)) {
+      // matches follow the edits; virtualized lines may have been (re)materialized
+      const stale = this._search.stale;
+      this._refreshSearch();
+      this._paintMatches();
+      if (stale) this._emit('find', this.getFindState());
+    }
+    if (this._animation) this._paintAnimation();
     this._updateTextareaPosition();
+    if (this._lastRenderedCursor !== this.cursorPos) {
+      this._lastRenderedCursor = this.cursorPos;
+      this._scrollCaretIntoView();
+    }
   }
 
   _updateSelectionVisual() {
-    for (let i = 0; i < this.letterNodes.length; i++) {
-      const n = this.letterNodes[i];
-      if (n.tagName === 'BR') continue;
-      n.classList.remove('notepad-letter-selected');
+    if (this._virtual) return; // materialized lines are marked by _vMaterialize
+    const prev = this._renderedSelection || null;
+    const next = this._getSelectionRange();
+    const mark = (start, end, on) => {
+      for (let i = start; i < end; i++) {
+        const n = this.letterNodes[i];
+        if (n && n.tagName !== 'BR') n.classList.toggle('notepad-letter-selected', on);
+      }
+    };
+    if (prev) {
+      // unmark the parts of the old range that are not selected anymore
+      if (!next || next.start >= prev.end || next.end <= prev.start) mark(prev.start, prev.end, false);
+      else {
+        mark(prev.start, Math.min(next.start, prev.end), false);
+        mark(Math.max(next.end, prev.start), prev.end, false);
+      }
     }
-    const r = this._getSelectionRange();
+    if (next) {
+      if (!prev || prev.start >= next.end || prev.end <= next.start) mark(next.start, next.end, true);
+      else {
+        mark(next.start, Math.min(prev.start, next.end), true);
+        mark(Math.max(prev.end, next.start), next.end, true);
+      }
+    }
+    this._renderedSelection = next;
+  }
+
+  // Keep the remembered selection range aligned after `inserted` nodes were added at start,
+  // or after nodes [start, end) were removed
+  _shiftRenderedSelection(start, end, inserted) {
+    const r = this._renderedSelection;
     if (!r) return;
-    for (let i = r.start; i < r.end; i++) {
-      const n = this.letterNodes[i];
-      if (n && n.tagName !== 'BR') n.classList.add('notepad-letter-selected');
+    let a, b;
+    if (inserted) {
+      a = r.start >= start ? r.start + inserted : r.start;
+      b = r.end > start ? r.end + inserted : r.end;
+    } else {
+      const count = end - start;
+      const shift = (v) => (v >= end ? v - count : (v > start ? start : v));
+      a = shift(r.start);
+      b = shift(r.end);
     }
+    this._renderedSelection = (b > a) ? { start: a, end: b } : null;
   }
 
   _getSelectionRange() {
@@ -956,51 +4635,762 @@ class Notepad {
     this._updateSelectionVisual();
   }
 
-  // ---------------- Hit testing por X,Y (mejor manejo de wraps) ----------------
+  // ---------------- Multiple carets / column selection ----------------
+  // The primary caret is still cursorPos / selectionStart / selectionEnd. Extra carets live in
+  // this._carets as { pos, anchor } (anchor null = no selection, else the selection runs from
+  // anchor to pos). The model primitives shift them with every edit (_shiftCarets), and editing
+  // code runs once per caret through _forEachCaret, so undo, paste and the color rules need no
+  // special cases.
+
+  // All carets, primary first: [{ pos, anchor, primary }]
+  getCarets() {
+    const p = this._primaryCaret();
+    return [{ pos: p.pos, anchor: p.anchor, primary: true }]
+      .concat(this._carets.map(c => ({ pos: c.pos, anchor: c.anchor, primary: false })));
+  }
+
+  // Add a caret (with a selection from anchor when given); it becomes the primary one
+  addCaret(pos, anchor = null) {
+    const clamp = (v) => Math.max(0, Math.min(v, this.doc.length));
+    this._carets.push(this._primaryCaret());
+    this._setPrimaryCaret({ pos: clamp(pos), anchor: anchor === null ? null : clamp(anchor) });
+    this._normalizeCarets();
+    this._render();
+  }
+
+  // Back to the primary caret only
+  clearCarets() {
+    if (!this._carets.length) return;
+    this._carets = [];
+    this._render();
+  }
+
+  // Column (box) selection from anchor to head: one caret per line between theirs, selecting the
+  // same columns on each (clamped to the line length, so short lines get an empty caret).
+  // Lines are the hard lines separated by newlines.
+  selectColumns(anchor, head) {
+    const clamp = (v) => Math.max(0, Math.min(v, this.doc.length));
+    anchor = clamp(anchor);
+    head = clamp(head);
+    const aStart = this._hardLineStart(anchor), hStart = this._hardLineStart(head);
+    const aCol = anchor - aStart, hCol = head - hStart;
+    const down = head >= anchor;
+    const carets = [];
+    for (let start = aStart; ;) {
+      const end = this._hardLineEnd(start);
+      const from = Math.min(start + aCol, end), to = Math.min(start + hCol, end);
+      carets.push({ pos: to, anchor: from === to ? null : from });
+      if (start === hStart) break;
+      start = down ? end + 1 : this._hardLineStart(start - 1);
+    }
+    this._setPrimaryCaret(carets.pop());
+    this._carets = carets;
+    this._normalizeCarets();
+    this._render();
+  }
+
+  _hardLineStart(pos) {
+    while (pos > 0 && this.doc[pos - 1].text !== '\n') pos--;
+    return pos;
+  }
+
+  _hardLineEnd(pos) {
+    while (pos < this.doc.length && this.doc[pos].text !== '\n') pos++;
+    return pos;
+  }
+
+  _primaryCaret() {
+    if (!this._getSelectionRange()) return { pos: this.cursorPos, anchor: null };
+    return { pos: this.selectionEnd, anchor: this.selectionStart };
+  }
+
+  _setPrimaryCaret(c) {
+    this.cursorPos = c.pos;
+    this.selectionStart = c.anchor;
+    this.selectionEnd = c.anchor === null ? null : c.pos;
+  }
+
+  _caretRange(c) {
+    return c.anchor === null ? { start: c.pos, end: c.pos } : { start: Math.min(c.anchor, c.pos), end: Math.max(c.anchor, c.pos) };
+  }
+
+  // Non-empty selections of all carets, in document order
+  _selectionRanges() {
+    return this.getCarets().map(c => this._caretRange(c)).filter(r => r.end > r.start).sort((a, b) => a.start - b.start);
+  }
+
+  // Letters of every selection; several selections are joined by newlines (one line each)
+  _selectionItems() {
+    const out = [];
+    this._selectionRanges().forEach((r, k) => {
+      if (k) out.push({ text: '\n', color: null });
+      for (let i = r.start; i < r.end; i++) out.push(this._cloneItem(this.doc[i]));
+    });
+    return out;
+  }
+
+  // Clamp the extra carets and drop the ones that collide with the primary or an earlier caret
+  _normalizeCarets() {
+    const len = this.doc.length;
+    const clamp = (v) => (v === null ? null : Math.max(0, Math.min(v, len)));
+    const taken = [this._caretRange(this._primaryCaret())];
+    const collides = (r) => taken.some(t => (r.start < t.end && t.start < r.end) ||
+      ((r.start === r.end || t.start === t.end) && r.start <= t.end && t.start <= r.end));
+    const keep = [];
+    for (const c of this._carets) {
+      const next = { pos: clamp(c.pos), anchor: clamp(c.anchor) };
+      if (next.anchor === next.pos) next.anchor = null;
+      const r = this._caretRange(next);
+      if (collides(r)) continue;
+      taken.push(r);
+      keep.push(next);
+    }
+    this._carets = keep.sort((a, b) => a.pos - b.pos);
+  }
+
+  // Same rules as _shiftRenderedSelection: `inserted` letters added at start, or [start, end) removed.
+  // A caret right at an insertion point stays before the new letters.
+  _shiftCarets(start, end, inserted) {
+    const move = this._positionShifter(start, end, inserted);
+    for (const c of this._carets) {
+      c.pos = move(c.pos);
+      if (c.anchor !== null) c.anchor = move(c.anchor);
+    }
+  }
+
+  _positionShifter(start, end, inserted) {
+    return inserted
+      ? (v) => (v > start ? v + inserted : v)
+      : (v) => (v >= end ? v - (end - start) : (v > start ? start : v));
+  }
+
+  // Run fn(k) once per caret, in document order, with caret k temporarily made the primary one,
+  // so the single-caret editing code works unchanged. Call it inside a transaction.
+  _forEachCaret(fn) {
+    if (!this._carets.length) { fn(0); return; }
+    const primary = this._primaryCaret();
+    const all = [primary].concat(this._carets).sort((a, b) => this._caretRange(a).start - this._caretRange(b).start);
+    this._carets = all.slice();
+    all.forEach((c, k) => {
+      this._carets.splice(this._carets.indexOf(c), 1);
+      this._setPrimaryCaret(c);
+      fn(k);
+      Object.assign(c, this._primaryCaret());
+      this._carets.push(c);
+    });
+    this._carets.splice(this._carets.indexOf(primary), 1);
+    this._setPrimaryCaret(primary);
+    this._normalizeCarets();
+  }
+
+  // Backspace (dir -1) / Delete (dir 1) at every caret as one step
+  _deleteAtCarets(dir) {
+    this._transact('delete', () => this._forEachCaret(() => {
+      const range = this._getSelectionRange();
+      if (range) {
+        this._deleteRange(range.start, range.end);
+        this.cursorPos = range.start;
+        this._clearSelection();
+      } else {
+        this._deleteNextTo(dir);
+      }
+    }));
+    this._render();
+    this._emitChange();
+  }
+
+  // Extra caret elements (copies of the primary caret) and the highlight of their selections
+  _renderCarets() {
+    const nodes = this._caretNodes;
+    while (nodes.length > this._carets.length) nodes.pop().remove();
+    while (nodes.length < this._carets.length) {
+      const n = document.createElement('span');
+      n.className = 'notepad-cursor notepad-cursor-extra';
+      nodes.push(n);
+    }
+    this._carets.forEach((c, k) => {
+      const n = nodes[k];
+      n.style.cssText = this.cursor.style.cssText;
+      if (this._virtual) {
+        this._vPlaceCaret(n, c.pos);
+        if (n.parentNode !== this.content) this.content.appendChild(n);
+      } else {
+        this._placeInLine(n, c.pos);
+      }
+    });
+
+    for (const n of this._paintedCaretSelections) n.classList.remove('notepad-letter-selected-extra');
+    this._paintedCaretSelections = [];
+    for (const c of this._carets) {
+      const r = this._caretRange(c);
+      for (let i = r.start; i < r.end; i++) {
+        const n = this.letterNodes[i];
+        if (!n || n.tagName === 'BR') continue;
+        n.classList.add('notepad-letter-selected-extra');
+        this._paintedCaretSelections.push(n);
+      }
+    }
+  }
+
+  // ---------------- Layout index: hit testing por X,Y (mejor manejo de wraps) ----------------
+  // Geometry is cached in "container coordinates" (relative to the container's border box plus its
+  // scroll offset) so scrolling and cursor moves do not invalidate it. The cache is dropped on
+  // document / style / size changes (or when the container width changes) and rebuilt on demand.
+
+  // Caret index for a client point (e.g. a pointer event); O(log n) with a warm cache
+  indexAtPoint(clientX, clientY) {
+    const p = this._toContainerPoint(clientX, clientY);
+    if (this._virtual) return this._vIndexAt(p.x, p.y);
+    const lines = this._layout().lines;
+    const line = lines[this._lineIndexAtY(lines, p.y)];
+    const boxes = line.boxes;
+    if (!boxes.length) return line.start;
+    // nearest gap between letters; on a grid, right before the cell under the point
+    const edge = this._grid ? 'right' : 'centerX';
+    let lo = 0, hi = boxes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (boxes[mid][edge] <= p.x) lo = mid + 1; else hi = mid;
+    }
+    return lo < boxes.length ? boxes[lo].idx : line.end;
+  }
+
+  // Client rect ({ left, top, right, bottom, width, height }) of letter i. Newlines and
+  // i === length give the zero-width caret rect at that position.
+  rectForIndex(i) {
+    i = Math.max(0, Math.min(i, this.doc.length));
+    let r = null;
+    if (this._virtual) r = this._vRectForIndex(i);
+    else {
+      const layout = this._layout();
+      const box = layout.byIndex[i];
+      if (box) r = { left: box.left, top: box.top, right: box.right, bottom: box.bottom };
+      else {
+        const line = layout.lines[this._lineIndexAtPos(layout.lines, i)];
+        const x = this._caretX(line, i);
+        r = { left: x, top: line.top, right: x, bottom: line.bottom };
+      }
+    }
+    const cr = this.container.getBoundingClientRect();
+    const dx = cr.left - this.container.scrollLeft, dy = cr.top - this.container.scrollTop;
+    return { left: r.left + dx, top: r.top + dy, right: r.right + dx, bottom: r.bottom + dy, width: r.right - r.left, height: r.bottom - r.top };
+  }
+
+  // Drop cached geometry (e.g. after a web font finished loading)
+  invalidateLayout() {
+    this._layoutCache = null;
+  }
+
+  _toContainerPoint(clientX, clientY) {
+    const cr = this.container.getBoundingClientRect();
+    return { x: clientX - cr.left + this.container.scrollLeft, y: clientY - cr.top + this.container.scrollTop };
+  }
+
+  _layout() {
+    const width = this.container.clientWidth;
+    if (!this._layoutCache || this._layoutCache.width !== width) this._layoutCache = this._buildLayout(width);
+    return this._layoutCache;
+  }
 
-  _indexFromClientXY(clientX, clientY) {
-    const rectContainer = this.container.getBoundingClientRect();
-    if (this.letterNodes.length === 0) return 0;
+  // Group caret positions into visual lines (hard breaks at <br>, soft breaks where letters wrap).
+  // Each line: { start, end, top, bottom, boxes } where caret positions start..end belong to it
+  // (empty lines also get x, the caret x from their alignment).
+  _buildLayout(width) {
+    const cr = this.container.getBoundingClientRect();
+    const ox = this.container.scrollLeft - cr.left, oy = this.container.scrollTop - cr.top;
+    const threshold = Math.max((this.fontSize || 16) * 0.8, 8);
+    const animated = this._animation ? this._animation.props : null; // letters moved by translateY
+    const lines = [];
+    const byIndex = new Array(this.letterNodes.length).fill(null);
+    let line = { start: 0, end: 0, top: 0, bottom: 0, boxes: [] };
+
+    const close = (end) => {
+      line.end = end;
+      if (!line.boxes.length) {
+        // empty line: its line div gives the row and, from the alignment, the caret x
+        const div = end < this.letterNodes.length ? this.letterNodes[end].parentNode : this.content.lastChild;
+        const r = div ? div.getBoundingClientRect() : null;
+        if (r && r.height) {
+          const cs = window.getComputedStyle(div);
+          const left = r.left + ox + (parseFloat(cs.paddingLeft) || 0);
+          const right = r.right + ox - (parseFloat(cs.paddingRight) || 0);
+          line.top = r.top + oy;
+          line.bottom = r.bottom + oy;
+          line.x = cs.textAlign === 'center' ? (left + right) / 2 : (cs.textAlign === 'right' ? right : left);
+        } else {
+          // not laid out: place it right under the previous one
+          const prev = lines[lines.length - 1];
+          const h = prev ? (prev.bottom - prev.top) : (this.fontSize * 1.5);
+          line.top = prev ? prev.bottom : this._contentOrigin().top;
+          line.bottom = line.top + h;
+        }
+      }
+      lines.push(line);
+    };
 
-    const infos = this.letterNodes.map((node, idx) => {
+    for (let idx = 0; idx < this.letterNodes.length; idx++) {
+      const node = this.letterNodes[idx];
+      if (node.tagName === 'BR') {
+        close(idx);
+        line = { start: idx + 1, end: idx + 1, top: 0, bottom: 0, boxes: [] };
+        continue;
+      }
       const r = node.getBoundingClientRect();
-      return {
+      const dy = (animated && animated[idx]) ? animated[idx].dy : 0;
+      const box = {
         idx,
-        node,
-        left: r.left,
-        right: r.right,
-        top: r.top,
-        bottom: r.bottom,
-        centerX: r.left + (r.width / 2),
-        centerY: r.top + (r.height / 2)
+        left: r.left + ox,
+        right: r.right + ox,
+        top: r.top + oy - dy,
+        bottom: r.bottom + oy - dy,
+        centerX: r.left + ox + r.width / 2,
+        centerY: r.top + oy - dy + r.height / 2
       };
-    });
+      if (line.boxes.length && box.centerY - (line.top + line.bottom) / 2 > threshold) {
+        close(idx - 1);
+        line = { start: idx, end: idx, top: 0, bottom: 0, boxes: [] };
+      }
+      if (!line.boxes.length) { line.top = box.top; line.bottom = box.bottom; }
+      else { line.top = Math.min(line.top, box.top); line.bottom = Math.max(line.bottom, box.bottom); }
+      line.boxes.push(box);
+      byIndex[idx] = box;
+    }
+    close(this.letterNodes.length);
+    return { width, lines, byIndex };
+  }
+
+  // Line nearest to y (lines are ordered top to bottom)
+  _lineIndexAtY(lines, y) {
+    let lo = 0, hi = lines.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (lines[mid].bottom < y) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0 && y < lines[lo].top) {
+      const prev = lines[lo - 1];
+      if (y - prev.bottom < lines[lo].top - y) return lo - 1;
+    }
+    return lo;
+  }
 
-    let minVD = Infinity, best = 0;
-    for (let i = 0; i < infos.length; i++) {
-      const vd = Math.abs(infos[i].centerY - clientY);
-      if (vd < minVD) { minVD = vd; best = i; }
+  // Last line whose start <= pos
+  _lineIndexAtPos(lines, pos) {
+    let lo = 0, hi = lines.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lines[mid].start <= pos) lo = mid; else hi = mid - 1;
     }
+    return lo;
+  }
+
+  _visualLines() {
+    if (this._virtual) return this._vVisualLines();
+    return this._layout().lines;
+  }
 
-    const lineCenterY = infos[best].centerY;
-    const lineThreshold = Math.max((this.fontSize || 16) * 0.8, 8);
+  _visualLineAt(pos) {
+    const lines = this._visualLines();
+    return lines.length ? lines[this._lineIndexAtPos(lines, pos)] : null;
+  }
 
-    const lineNodes = infos.filter(info => Math.abs(info.centerY - lineCenterY) <= lineThreshold);
-    if (lineNodes.length === 0) return infos[best].idx;
+  // x (container coords) of the caret at pos inside a visual line
+  _caretX(line, pos) {
+    const boxes = line.boxes;
+    if (!boxes.length) return (typeof line.x === 'number') ? line.x : this._contentOrigin().left;
+    const first = boxes[0].idx;
+    const k = pos - first;
+    if (k < boxes.length && k >= 0) return boxes[k].left;
+    if (k >= boxes.length) return boxes[boxes.length - 1].right;
+    return boxes[0].left;
+  }
 
-    lineNodes.sort((a, b) => a.left - b.left);
+  // Top-left corner of the content box in container coords
+  _contentOrigin() {
+    let padLeft = 0, padTop = 0;
+    try {
+      const cs = window.getComputedStyle(this.container);
+      padLeft = parseFloat(cs.paddingLeft) || 0;
+      padTop = parseFloat(cs.paddingTop) || 0;
+    } catch (e) { }
+    return { left: this.container.clientLeft + padLeft, top: this.container.clientTop + padTop };
+  }
 
-    if (clientX < lineNodes[0].centerX) return lineNodes[0].idx;
+  _randomColor() { return this.colors[Math.floor(Math.random() * this.colors.length)]; }
 
-    for (let i = 0; i < lineNodes.length; i++) {
-      if (clientX < lineNodes[i].centerX) return lineNodes[i].idx;
+  // Letter boxes relative to the container's scrollable area (as used by the exporters)
+  _letterBoxes() {
+    if (this._virtual) return this._vLetterBoxes();
+    const boxes = [];
+    for (const line of this._layout().lines) {
+      for (const b of line.boxes) boxes.push({ index: b.idx, x: b.left, y: b.top, w: b.right - b.left, h: b.bottom - b.top });
     }
+    return boxes;
+  }
 
-    const lastOnLine = lineNodes[lineNodes.length - 1].idx;
-    return lastOnLine + 1;
+  // Boxes of the lines with a background, in the coordinates of _letterBoxes: { start, end, x, y, w,
+  // h, background } (start..end: the line's letters, end is its newline). None when virtualized.
+  _lineBackgrounds() {
+    if (this._virtual) return [];
+    const cr = this.container.getBoundingClientRect();
+    const ox = this.container.scrollLeft - cr.left, oy = this.container.scrollTop - cr.top;
+    const out = [];
+    let start = 0, div = this.content.firstChild;
+    const add = (end, style) => {
+      if (style && style.background && !this._isTransparent(style.background)) {
+        const r = div.getBoundingClientRect();
+        out.push({ start, end, x: r.left + ox, y: r.top + oy, w: r.width, h: r.height, background: style.background });
+      }
+      start = end + 1;
+      div = div.nextSibling;
+    };
+    for (let i = 0; i < this.doc.length; i++) if (this.doc[i].text === '\n') add(i, this.doc[i].style);
+    add(this.doc.length, this._lastLine);
+    return out;
   }
 
-  _randomColor() { return this.colors[Math.floor(Math.random() * this.colors.length)]; }
+  // ---------------- Internal: virtualized viewport ----------------
+  // Letters are laid out from measured widths into a line index ({ start, end, hard }, end = index
+  // after the last letter of the line). The index gives the scroll height and all geometry; only the
+  // lines in view (plus virtualBuffer lines) are materialized as absolutely positioned line divs.
+
+  _vSetup() {
+    Object.assign(this.content.style, { display: 'block', position: 'relative' });
+    Object.assign(this.cursor.style, { position: 'absolute', left: '0px', top: '0px' });
+    this._styleCursor();
+    this.content.appendChild(this.cursor);
+    this._vLines = null;
+    this._vDirty = null;
+    this._vRendered = new Map(); // line number -> { div, start, end, items, nodes }
+    this._vWidths = new Map(); // text width cache
+  }
+
+  _vTeardown() {
+    Object.assign(this.content.style, { display: '', position: '', height: '' });
+    Object.assign(this.cursor.style, { position: '', left: '', top: '' });
+    this._styleCursor();
+    this._vLines = null;
+    this._vRendered = null;
+  }
+
+  _vInvalidate() {
+    this._vLines = null;
+    this._vDirty = null;
+    if (this._vWidths) this._vWidths.clear();
+    if (this._vRendered) {
+      for (const r of this._vRendered.values()) r.div.remove();
+      this._vRendered.clear();
+    }
+  }
+
+  // Record an edit at i (removed letters replaced by inserted ones) as a dirty region [a, b)
+  // in current coordinates; old indexes >= b - d are unchanged and only shifted by d.
+  _vMarkDirty(i, removed, inserted) {
+    if (!this._vLines) return;
+    const d = this._vDirty;
+    if (!d) { this._vDirty = { a: i, b: i + inserted, d: inserted - removed }; return; }
+    d.a = Math.min(d.a, i);
+    d.b = Math.max(d.b, i + removed) + (inserted - removed);
+    d.d += inserted - removed;
+  }
+
+  _vLineHeight() {
+    return this.fontSize * 1.5 + 2 * this._letterPadY + 2 * this._letterBorderWidth;
+  }
+
+  _vAvailableWidth() {
+    let pad = 0;
+    try {
+      const cs = window.getComputedStyle(this.container);
+      pad = (parseFloat(cs.paddingLeft) || 0) + (parseFloat(cs.paddingRight) || 0);
+    } catch (e) { }
+    const w = this.container.clientWidth - pad;
+    return w > 0 ? w : Infinity;
+  }
+
+  _letterMarginPx() {
+    if (typeof this._letterMarginX === 'number') return this._letterMarginX;
+    const parts = String(this._letterMarginX).trim().split(/\s+/);
+    return parseFloat(parts.length > 1 ? parts[1] : parts[0]) || 0;
+  }
+
+  _measureText(text, fontWeight, fontStyle) {
+    if (this._measureCtx === undefined) {
+      try { this._measureCtx = document.createElement('canvas').getContext('2d') || null; } catch (e) { this._measureCtx = null; }
+    }
+    const ctx = this._measureCtx;
+    if (!ctx) return this.fontSize * 0.6 * text.length;
+    ctx.font = `${fontStyle} ${fontWeight} ${this.fontSize}px ${this.fontFamily}`;
+    return ctx.measureText(text).width;
+  }
+
+  // Outer width of a letter box (text + padding + border + horizontal margins)
+  _vLetterWidth(item) {
+    const st = item.style;
+    const weight = (st && st.fontWeight) || 'normal';
+    const fstyle = (st && st.fontStyle) || 'normal';
+    const bw = (st && st.borderWidth != null) ? st.borderWidth : this._letterBorderWidth;
+    const key = item.text + '|' + weight + '|' + fstyle;
+    let tw = this._vWidths.get(key);
+    if (tw === undefined) {
+      tw = this._measureText(item.text, weight, fstyle);
+      this._vWidths.set(key, tw);
+    }
+    return tw + 2 * this._letterPadX + 2 * bw + 2 * this._letterMarginPx();
+  }
+
+  // Wrap the paragraph starting at p into out; returns the start of the next paragraph
+  _vWrapParagraph(p, out) {
+    const n = this.doc.length;
+    const avail = this._vAvail;
+    let x = 0, lineStart = p;
+    for (let i = p; i < n; i++) {
+      const item = this.doc[i];
+      if (item.text === '\n') { out.push({ start: lineStart, end: i, hard: true }); return i + 1; }
+      const w = this._vLetterWidth(item);
+      if (x + w > avail && i > lineStart) {
+        out.push({ start: lineStart, end: i, hard: false });
+        lineStart = i;
+        x = 0;
+      }
+      x += w;
+    }
+    out.push({ start: lineStart, end: n, hard: true });
+    return n + 1;
+  }
+
+  _vLayout() {
+    const avail = this._vAvailableWidth();
+    if (!this._vLines || avail !== this._vAvail) {
+      this._vAvail = avail;
+      const lines = [];
+      let p = 0;
+      while (p <= this.doc.length) p = this._vWrapParagraph(p, lines);
+      this._vLines = lines;
+      this._vDirty = null;
+      return;
+    }
+    const dirty = this._vDirty;
+    if (!dirty) return;
+    this._vDirty = null;
+
+    // re-wrap from the paragraph holding the first edit until the old layout can be reused
+    const old = this._vLines;
+    let li = this._lineIndexAtPos(old, dirty.a);
+    while (li > 0 && !old[li - 1].hard) li--;
+    const out = old.slice(0, li);
+    const n = this.doc.length;
+    let p = old[li].start;
+    while (p <= n) {
+      if (p >= dirty.b) {
+        const j = this._lineIndexAtPos(old, p - dirty.d);
+        if (old[j].start === p - dirty.d && (j === 0 || old[j - 1].hard)) {
+          for (let k = j; k < old.length; k++) {
+            out.push({ start: old[k].start + dirty.d, end: old[k].end + dirty.d, hard: old[k].hard });
+          }
+          break;
+        }
+      }
+      p = this._vWrapParagraph(p, out);
+    }
+    this._vLines = out;
+  }
+
+  _vRender() {
+    this._vLayout();
+    this._vMaterialize();
+    this._vPlaceCaret(this.cursor, this.cursorPos);
+  }
+
+  _vPlaceCaret(node, pos) {
+    const lh = this._vLineHeight();
+    const li = this._lineIndexAtPos(this._vLines, pos);
+    const line = this._vLines[li];
+    let x = 0;
+    for (let i = line.start; i < Math.min(pos, line.end); i++) x += this._vLetterWidth(this.doc[i]);
+    node.style.left = x + 'px';
+    node.style.top = (li * lh + (lh - (this.fontSize + 4)) / 2) + 'px';
+  }
+
+  _vMaterialize() {
+    const lines = this._vLines;
+    const lh = this._vLineHeight();
+    this.content.style.height = (lines.length * lh) + 'px';
+
+    const viewTop = this.container.scrollTop;
+    const viewHeight = this.container.clientHeight || (typeof this.height === 'number' ? this.height : 0);
+    const first = Math.max(0, Math.floor(viewTop / lh) - this.virtualBuffer);
+    const last = Math.min(lines.length - 1, Math.ceil((viewTop + viewHeight) / lh) + this.virtualBuffer);
+
+    const sel = this._getSelectionRange();
+    const prev = this._vRendered;
+    const next = new Map();
+    this.letterNodes = new Array(this.doc.length).fill(null);
+
+    for (let li = first; li <= last; li++) {
+      const line = lines[li];
+      let r = prev.get(li);
+      if (r) prev.delete(li);
+      if (!r || r.start !== line.start || r.end !== line.end || !r.items.every((item, k) => item === this.doc[line.start + k])) {
+        if (r) r.div.remove();
+        r = this._vCreateLine(line, li, lh);
+      }
+      next.set(li, r);
+      for (let k = 0; k < r.nodes.length; k++) {
+        const i = line.start + k;
+        this.letterNodes[i] = r.nodes[k];
+        r.nodes[k].classList.toggle('notepad-letter-selected', !!sel && i >= sel.start && i < sel.end);
+      }
+    }
+    for (const r of prev.values()) r.div.remove();
+    this._vRendered = next;
+  }
+
+  _vCreateLine(line, li, lh) {
+    const div = document.createElement('div');
+    div.className = 'notepad-vline';
+    Object.assign(div.style, { position: 'absolute', left: '0px', top: (li * lh) + 'px', height: lh + 'px', whiteSpace: 'pre' });
+    const items = this.doc.slice(line.start, line.end);
+    const nodes = items.map((item, k) => {
+      const n = this._createNode(item, line.start + k);
+      n.style.verticalAlign = 'top';
+      div.appendChild(n);
+      return n;
+    });
+    this.content.appendChild(div);
+    return { div, start: line.start, end: line.end, items, nodes };
+  }
+
+  // Same shape as _visualLines() (container coordinates); boxes are computed on first access
+  _vVisualLines() {
+    const lines = this._vLines || [];
+    const lh = this._vLineHeight();
+    const origin = this._contentOrigin();
+    const margin = this._letterMarginPx();
+    const np = this;
+    return lines.map((l, li) => {
+      const top = origin.top + li * lh;
+      const soft = !l.hard && li < lines.length - 1;
+      let boxes = null;
+      return {
+        start: l.start,
+        end: soft ? Math.max(l.start, l.end - 1) : l.end,
+        top,
+        bottom: top + lh,
+        get boxes() {
+          if (boxes) return boxes;
+          boxes = [];
+          let x = origin.left;
+          for (let i = l.start; i < l.end; i++) {
+            const w = np._vLetterWidth(np.doc[i]);
+            const left = x + margin, right = x + w - margin;
+            boxes.push({ idx: i, left, right, top, bottom: top + lh, centerX: (left + right) / 2, centerY: top + lh / 2 });
+            x += w;
+          }
+          return boxes;
+        }
+      };
+    });
+  }
+
+  // Caret index for a point in container coords, straight from the line index (no DOM reads)
+  _vIndexAt(x, y) {
+    this._vLayout();
+    const lines = this._vLines;
+    const origin = this._contentOrigin();
+    const lh = this._vLineHeight();
+    const li = Math.max(0, Math.min(lines.length - 1, Math.floor((y - origin.top) / lh)));
+    const line = lines[li];
+    const soft = !line.hard && li < lines.length - 1;
+    let left = origin.left;
+    for (let i = line.start; i < line.end; i++) {
+      const w = this._vLetterWidth(this.doc[i]);
+      if (x < left + w / 2) return i;
+      left += w;
+    }
+    // a soft-wrapped line ends before its last letter (the next line starts there)
+    return soft ? Math.max(line.start, line.end - 1) : line.end;
+  }
+
+  // Rect of letter i (or the caret at i) in container coords
+  _vRectForIndex(i) {
+    this._vLayout();
+    const li = this._lineIndexAtPos(this._vLines, i);
+    const line = this._vLines[li];
+    const origin = this._contentOrigin();
+    const lh = this._vLineHeight();
+    const top = origin.top + li * lh;
+    let x = origin.left;
+    for (let k = line.start; k < i && k < line.end; k++) x += this._vLetterWidth(this.doc[k]);
+    const item = this.doc[i];
+    if (i >= line.end || !item || item.text === '\n') return { left: x, top, right: x, bottom: top + lh };
+    const margin = this._letterMarginPx();
+    return { left: x + margin, top, right: x + this._vLetterWidth(item) - margin, bottom: top + lh };
+  }
+
+  _vLetterBoxes() {
+    this._vLayout();
+    let padLeft = 0, padTop = 0;
+    try {
+      const cs = window.getComputedStyle(this.container);
+      padLeft = parseFloat(cs.paddingLeft) || 0;
+      padTop = parseFloat(cs.paddingTop) || 0;
+    } catch (e) { }
+    const ox = this.container.clientLeft + padLeft;
+    const oy = this.container.clientTop + padTop;
+    const lh = this._vLineHeight();
+    const margin = this._letterMarginPx();
+    const boxes = [];
+    this._vLines.forEach((line, li) => {
+      let x = 0;
+      for (let i = line.start; i < line.end; i++) {
+        const w = this._vLetterWidth(this.doc[i]);
+        boxes.push({ index: i, x: ox + x + margin, y: oy + li * lh, w: w - 2 * margin, h: lh });
+        x += w;
+      }
+    });
+    return boxes;
+  }
+
+  // Run fn with `source` as the origin of the changes it makes ('keyboard', 'ime', 'paste', 'cut',
+  // 'history'; anything else is 'api'). The innermost source wins.
+  _withSource(source, fn) {
+    const prev = this._source;
+    this._source = source;
+    try {
+      return fn();
+    } finally {
+      this._source = prev;
+    }
+  }
+
+  // 'beforechange' for one primitive change; listeners may call cancel() or replace items / after.
+  // Returns the (possibly transformed) event, or null when cancelled.
+  _beforeChange(op) {
+    const ev = Object.assign({ source: this._source || 'api', cancelled: false }, op);
+    ev.cancel = () => { ev.cancelled = true; };
+    this._emit('beforechange', ev);
+    return ev.cancelled ? null : ev;
+  }
+
+  // 'change' with the document operations recorded since the previous one:
+  // { source, ops: [{ type: 'insert', index, items } | { type: 'delete', start, end, items } |
+  //                 { type: 'restyle', indices, before, after }] }
+  _emitChange() {
+    const ops = this._changes;
+    this._changes = [];
+    if (!this.handlers.change) return;
+    this._emit('change', {
+      source: this._source || 'api',
+      ops: ops.map(op => {
+        switch (op.type) {
+          case 'insert': return { type: 'insert', index: op.index, items: op.items };
+          case 'delete': return { type: 'delete', start: op.index, end: op.index + op.items.length, items: op.items };
+          case 'recolor': return { type: 'restyle', indices: op.indices, before: op.before.map(color => ({ color })), after: op.after.map(color => ({ color })) };
+          default: return { type: 'restyle', indices: op.indices, before: op.before, after: op.after };
+        }
+      })
+    });
+  }
 
   _emit(eventName, payload) {
     if (!this.handlers[eventName]) return;
@@ -1010,6 +5400,739 @@ class Notepad {
   }
 }
 
+// File format (serialize / load / deserialize). DOCUMENT_MIGRATIONS[v] turns a version v document
+// into version v + 1.
+Notepad.DOCUMENT_VERSION = 2;
+Notepad.DOCUMENT_MIGRATIONS = {
+  // v0: bare array of { text, color, style? } (getRichContent) or of getDetailedJSON() entries
+  0: (arr) => ({
+    format: 'notepad',
+    version: 1,
+    settings: {},
+    items: arr.map(it => {
+      const text = (it && typeof it.char === 'string') ? it.char : (it && it.text);
+      if (text === '\n') return { text: '\n', color: null };
+      const out = { text, color: (it && it.color) || null };
+      if (it && it.style) out.style = it.style;
+      return out;
+    })
+  }),
+  // v1: declarative color rules were not saved; without settings.colorRules.rules, load() keeps the
+  // current rules as it did
+  1: (data) => Object.assign({}, data, { version: 2 })
+};
+
+// CSS color parsing and conversion without a DOM. Accepts named colors, transparent, #rgb[a],
+// #rrggbb[aa], rgb[a](), hsl[a](), hwb(), oklab() and oklch() (comma or space syntax, '/ alpha'),
+// or { r, g, b, a? } objects. parse() returns { r, g, b, a } (0-255 integers, alpha 0-1) or null.
+Notepad.color = {
+  NAMED: (
+    'aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,beige:f5f5dc,' +
+    'bisque:ffe4c4,black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,' +
+    'burlywood:deb887,cadetblue:5f9ea0,chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,' +
+    'cornflowerblue:6495ed,cornsilk:fff8dc,crimson:dc143c,cyan:00ffff,darkblue:00008b,' +
+    'darkcyan:008b8b,darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400,darkgrey:a9a9a9,' +
+    'darkkhaki:bdb76b,darkmagenta:8b008b,darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc,' +
+    'darkred:8b0000,darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,darkslategray:2f4f4f,' +
+    'darkslategrey:2f4f4f,darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,deepskyblue:00bfff,' +
+    'dimgray:696969,dimgrey:696969,dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,' +
+    'forestgreen:228b22,fuchsia:ff00ff,gainsboro:dcdcdc,ghostwhite:f8f8ff,gold:ffd700,' +
+    'goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f,grey:808080,honeydew:f0fff0,' +
+    'hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,ivory:fffff0,khaki:f0e68c,lavender:e6e6fa,' +
+    'lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,lightblue:add8e6,lightcoral:f08080,' +
+    'lightcyan:e0ffff,lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90,' +
+    'lightgrey:d3d3d3,lightpink:ffb6c1,lightsalmon:ffa07a,lightseagreen:20b2aa,lightskyblue:87cefa,' +
+    'lightslategray:778899,lightslategrey:778899,lightsteelblue:b0c4de,lightyellow:ffffe0,' +
+    'lime:00ff00,limegreen:32cd32,linen:faf0e6,magenta:ff00ff,maroon:800000,mediumaquamarine:66cdaa,' +
+    'mediumblue:0000cd,mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371,' +
+    'mediumslateblue:7b68ee,mediumspringgreen:00fa9a,mediumturquoise:48d1cc,mediumvioletred:c71585,' +
+    'midnightblue:191970,mintcream:f5fffa,mistyrose:ffe4e1,moccasin:ffe4b5,navajowhite:ffdead,' +
+    'navy:000080,oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,orange:ffa500,orangered:ff4500,' +
+    'orchid:da70d6,palegoldenrod:eee8aa,palegreen:98fb98,paleturquoise:afeeee,palevioletred:db7093,' +
+    'papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,pink:ffc0cb,plum:dda0dd,powderblue:b0e0e6,' +
+    'purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,royalblue:4169e1,' +
+    'saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,' +
+    'sienna:a0522d,silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,' +
+    'snow:fffafa,springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,' +
+    'tomato:ff6347,turquoise:40e0d0,violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,' +
+    'yellow:ffff00,yellowgreen:9acd32'
+  ).split(',').reduce((map, pair) => { const [k, v] = pair.split(':'); map[k] = v; return map; }, {}),
+
+  parse(input) {
+    if (input && typeof input === 'object') {
+      if (typeof input.r !== 'number') return null;
+      return Notepad.color._rgba(input.r, input.g, input.b, (typeof input.a === 'number') ? input.a : 1);
+    }
+    if (typeof input !== 'string') return null;
+    const str = input.trim().toLowerCase();
+    if (str === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (Notepad.color.NAMED[str]) return Notepad.color.parse('#' + Notepad.color.NAMED[str]);
+
+    let m = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(str);
+    if (m) {
+      let hex = m[1];
+      if (hex.length <= 4) hex = hex.split('').map(ch => ch + ch).join('');
+      const n = (i) => parseInt(hex.slice(i, i + 2), 16);
+      return Notepad.color._rgba(n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1);
+    }
+
+    m = /^(rgba?|hsla?|hwb|oklab|oklch)\((.*)\)$/.exec(str);
+    if (!m) return null;
+    const slash = m[2].split('/');
+    if (slash.length > 2) return null;
+    const args = slash[0].split(/[\s,]+/).filter(Boolean);
+    let alphaArg = slash.length === 2 ? slash[1].trim() : args[3];
+    if (args.length < 3 || args.length > (slash.length === 2 ? 3 : 4)) return null;
+    const num = (v, pctScale) => {
+      if (v === 'none') return 0;
+      const x = parseFloat(v);
+      if (isNaN(x)) return NaN;
+      return /%$/.test(v) ? x / 100 * pctScale : x;
+    };
+    const hue = (v) => {
+      if (v === 'none') return 0;
+      const x = parseFloat(v);
+      if (/turn$/.test(v)) return x * 360;
+      if (/grad$/.test(v)) return x * 0.9;
+      if (/rad$/.test(v) && !/grad$/.test(v)) return x * 180 / Math.PI;
+      return x;
+    };
+    const alpha = (typeof alphaArg === 'undefined') ? 1 : num(alphaArg, 1);
+    let rgb;
+    switch (m[1]) {
+      case 'rgb': case 'rgba':
+        rgb = [num(args[0], 255), num(args[1], 255), num(args[2], 255)];
+        break;
+      case 'hsl': case 'hsla':
+        rgb = Notepad.color._hslToRgb(hue(args[0]), num(args[1], 100), num(args[2], 100));
+        break;
+      case 'hwb': {
+        let w = num(args[1], 100) / 100, bl = num(args[2], 100) / 100;
+        if (w + bl >= 1) { const g = w / (w + bl) * 255; rgb = [g, g, g]; break; }
+        rgb = Notepad.color._hslToRgb(hue(args[0]), 100, 50).map(v => v * (1 - w - bl) + w * 255);
+        break;
+      }
+      case 'oklab':
+        rgb = Notepad.color._oklabToRgb(num(args[0], 1), num(args[1], 0.4), num(args[2], 0.4));
+        break;
+      case 'oklch': {
+        const h = hue(args[2]) * Math.PI / 180, c = num(args[1], 0.4);
+        rgb = Notepad.color._oklabToRgb(num(args[0], 1), c * Math.cos(h), c * Math.sin(h));
+        break;
+      }
+    }
+    if (rgb.some(v => isNaN(v)) || isNaN(alpha)) return null;
+    return Notepad.color._rgba(rgb[0], rgb[1], rgb[2], alpha);
+  },
+
+  // '#rrggbb', or '#rrggbbaa' when not opaque
+  toHex(color) {
+    const c = Notepad.color.parse(color);
+    if (!c) return null;
+    const h = (v) => v.toString(16).padStart(2, '0');
+    return '#' + h(c.r) + h(c.g) + h(c.b) + (c.a < 1 ? h(Math.round(c.a * 255)) : '');
+  },
+
+  // 'rgb(r, g, b)', or 'rgba(r, g, b, a)' when not opaque
+  toRgb(color) {
+    const c = Notepad.color.parse(color);
+    if (!c) return null;
+    return c.a < 1 ? `rgba(${c.r}, ${c.g}, ${c.b}, ${c.a})` : `rgb(${c.r}, ${c.g}, ${c.b})`;
+  },
+
+  // 'hsl(h, s%, l%)', or 'hsla(h, s%, l%, a)' when not opaque
+  toHsl(color) {
+    const c = Notepad.color.hslOf(color);
+    if (!c) return null;
+    const r = (v) => +v.toFixed(2);
+    return c.a < 1 ? `hsla(${r(c.h)}, ${r(c.s)}%, ${r(c.l)}%, ${c.a})` : `hsl(${r(c.h)}, ${r(c.s)}%, ${r(c.l)}%)`;
+  },
+
+  // { h (0-360), s, l (percent), a }
+  hslOf(color) {
+    const c = Notepad.color.parse(color);
+    if (!c) return null;
+    const r = c.r / 255, g = c.g / 255, b = c.b / 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b), l = (max + min) / 2;
+    let h = 0, s = 0;
+    if (max !== min) {
+      const d = max - min;
+      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+      if (max === r) h = ((g - b) / d + (g < b ? 6 : 0)) * 60;
+      else if (max === g) h = ((b - r) / d + 2) * 60;
+      else h = ((r - g) / d + 4) * 60;
+    }
+    return { h, s: s * 100, l: l * 100, a: c.a };
+  },
+
+  // alpha(color) -> 0..1; alpha(color, a) -> the color with that alpha (rgba string)
+  alpha(color, value) {
+    const c = Notepad.color.parse(color);
+    if (!c) return null;
+    if (typeof value === 'undefined') return c.a;
+    return Notepad.color.toRgb({ r: c.r, g: c.g, b: c.b, a: value });
+  },
+
+  // WCAG 2 relative luminance (0 black .. 1 white); alpha is ignored
+  luminance(color) {
+    const c = Notepad.color.parse(color);
+    if (!c) return null;
+    const lin = (v) => { v /= 255; return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4); };
+    return 0.2126 * lin(c.r) + 0.7152 * lin(c.g) + 0.0722 * lin(c.b);
+  },
+
+  // WCAG contrast ratio, 1 .. 21
+  contrast(a, b) {
+    const la = Notepad.color.luminance(a), lb = Notepad.color.luminance(b);
+    if (la === null || lb === null) return null;
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+  },
+
+  // t = 0 -> a, t = 1 -> b (sRGB and alpha interpolated linearly)
+  mix(a, b, t = 0.5) {
+    const ca = Notepad.color.parse(a), cb = Notepad.color.parse(b);
+    if (!ca || !cb) return null;
+    const f = (x, y) => x + (y - x) * t;
+    return Notepad.color.toRgb({ r: f(ca.r, cb.r), g: f(ca.g, cb.g), b: f(ca.b, cb.b), a: f(ca.a, cb.a) });
+  },
+
+  // One canonical spelling per color (lower-case hex); unknown colors -> null
+  normalize(color) {
+    return Notepad.color.toHex(color);
+  },
+
+  _rgba(r, g, b, a) {
+    const ch = (v) => Math.max(0, Math.min(255, Math.round(v)));
+    return { r: ch(r), g: ch(g), b: ch(b), a: Math.max(0, Math.min(1, Math.round(a * 1000) / 1000)) };
+  },
+
+  // h in degrees, s and l in percent -> [r, g, b] 0-255
+  _hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360;
+    s = Math.max(0, Math.min(100, s)) / 100;
+    l = Math.max(0, Math.min(100, l)) / 100;
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0) * 255, f(8) * 255, f(4) * 255];
+  },
+
+  // OKLab -> gamma-encoded sRGB 0-255 (out-of-gamut values are clamped by _rgba)
+  _oklabToRgb(L, a, b) {
+    const l_ = L + 0.3963377774 * a + 0.2158037573 * b;
+    const m_ = L - 0.1055613458 * a - 0.0638541728 * b;
+    const s_ = L - 0.0894841775 * a - 1.2914855480 * b;
+    const l = l_ * l_ * l_, m = m_ * m_ * m_, s = s_ * s_ * s_;
+    const lin = [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+    return lin.map(v => 255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(Math.max(0, v), 1 / 2.4) - 0.055));
+  }
+};
+
+// Palette and color-scheme generators (plain functions, no DOM). Colors are CSS strings that can go
+// straight into noteColorMap / colorSequence; see np.setPalette(name, opts) for the one-call version.
+Notepad.palettes = {
+  DEFAULT_ALPHABET: 'abcdefghijklmnopqrstuvwxyz1234567890',
+
+  // Okabe & Ito (2008), distinguishable with the common forms of color blindness
+  COLORBLIND_SAFE: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'],
+
+  // Reproducible pseudo random numbers in [0, 1) (mulberry32)
+  rng(seed) {
+    let a = (typeof seed === 'number') ? seed >>> 0 : Array.from(String(seed)).reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619) >>> 0, 2166136261);
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  // Evenly spaced hues: opts { saturation: 100, lightness: 50, hueStart: 0, hueEnd: 360 }
+  rainbow(steps, opts = {}) {
+    const s = (typeof opts.saturation !== 'undefined') ? opts.saturation : 100;
+    const l = (typeof opts.lightness !== 'undefined') ? opts.lightness : 50;
+    const h0 = opts.hueStart || 0;
+    const h1 = (typeof opts.hueEnd !== 'undefined') ? opts.hueEnd : 360;
+    const out = [];
+    for (let i = 0; i < steps; i++) out.push(`hsl(${+(h0 + (i / steps) * (h1 - h0)).toFixed(2)}, ${s}%, ${l}%)`);
+    return out;
+  },
+
+  // Random rgb() colors; opts.seed makes them reproducible (tests, exports)
+  random(steps, opts = {}) {
+    const rand = (typeof opts.seed !== 'undefined') ? Notepad.palettes.rng(opts.seed) : Math.random;
+    const out = [];
+    for (let i = 0; i < steps; i++) {
+      out.push(`rgb(${Math.floor(rand() * 256)}, ${Math.floor(rand() * 256)}, ${Math.floor(rand() * 256)})`);
+    }
+    return out;
+  },
+
+  // steps colors interpolated in HSL between the stops (hue takes the shorter way around)
+  gradient(stops, steps) {
+    const hsl = stops.map(c => Notepad.palettes._toHsl(c));
+    if (hsl.length === 1) return new Array(steps).fill(Notepad.palettes._hslString(hsl[0]));
+    const out = [];
+    for (let i = 0; i < steps; i++) {
+      const t = steps === 1 ? 0 : (i / (steps - 1)) * (hsl.length - 1);
+      const k = Math.min(hsl.length - 2, Math.floor(t));
+      const f = t - k, a = hsl[k], b = hsl[k + 1];
+      let dh = b.h - a.h;
+      if (dh > 180) dh -= 360; else if (dh < -180) dh += 360;
+      out.push(Notepad.palettes._hslString({ h: a.h + dh * f, s: a.s + (b.s - a.s) * f, l: a.l + (b.l - a.l) * f }));
+    }
+    return out;
+  },
+
+  complementary(base) { return Notepad.palettes._rotations(base, [0, 180]); },
+  triadic(base) { return Notepad.palettes._rotations(base, [0, 120, 240]); },
+  // count hues spread degrees apart, centered on the base color
+  analogous(base, count = 3, spread = 30) {
+    const offsets = [];
+    for (let i = 0; i < count; i++) offsets.push((i - (count - 1) / 2) * spread);
+    return Notepad.palettes._rotations(base, offsets);
+  },
+
+  colorblind(steps) {
+    const P = Notepad.palettes.COLORBLIND_SAFE;
+    const n = steps || P.length;
+    const out = [];
+    for (let i = 0; i < n; i++) out.push(P[i % P.length]);
+    return out;
+  },
+
+  // noteColorMap for the letters of an alphabet (string or array). colors: array (cycled) or
+  // function (letter, index, count) -> color
+  forAlphabet(alphabet, colors) {
+    const letters = Array.from(alphabet || Notepad.palettes.DEFAULT_ALPHABET);
+    const map = {};
+    letters.forEach((letter, i) => {
+      map[letter] = (typeof colors === 'function') ? colors(letter, i, letters.length) : colors[i % colors.length];
+    });
+    return map;
+  },
+
+  // Any palette by name with one options object: { steps, seed, stops, base, count, spread, ... }.
+  // Schemes with a fixed size (complementary, triadic, ...) are cycled up to opts.steps.
+  generate(name, opts = {}) {
+    const P = Notepad.palettes;
+    const steps = opts.steps || 12;
+    const base = opts.base || '#e6194b';
+    let colors;
+    switch (name) {
+      case 'rainbow': colors = P.rainbow(steps, opts); break;
+      case 'random': colors = P.random(steps, opts); break;
+      case 'gradient': colors = P.gradient(opts.stops || ['#ff0000', '#0000ff'], steps); break;
+      case 'complementary': colors = P.complementary(base); break;
+      case 'triadic': colors = P.triadic(base); break;
+      case 'analogous': colors = P.analogous(base, opts.count, opts.spread); break;
+      case 'colorblind': colors = P.colorblind(steps); break;
+      default: throw new Error('Paleta desconocida: "' + name + '"');
+    }
+    return P._cycle(colors, steps);
+  },
+
+  _cycle(colors, steps) {
+    const out = [];
+    for (let i = 0; i < steps; i++) out.push(colors[i % colors.length]);
+    return out;
+  },
+
+  _rotations(base, offsets) {
+    const c = Notepad.palettes._toHsl(base);
+    return offsets.map(d => Notepad.palettes._hslString({ h: c.h + d, s: c.s, l: c.l }));
+  },
+
+  _hslString(c) {
+    const h = ((c.h % 360) + 360) % 360;
+    return `hsl(${+h.toFixed(2)}, ${+c.s.toFixed(2)}%, ${+c.l.toFixed(2)}%)`;
+  },
+
+  _toHsl(color) {
+    const c = Notepad.color.hslOf(color);
+    if (!c) throw new Error('Color no reconocido: "' + color + '"');
+    return c;
+  }
+};
+
+// Default noteMap: a-g are their own notes (octave 4, upper case octave 5); the other letters and
+// the digits climb the C major scale from C3 (octaves 3 to 5) so every word has a melody
+Notepad.DEFAULT_NOTE_MAP = (() => {
+  const map = {};
+  for (const n of 'abcdefg') { map[n] = n.toUpperCase() + '4'; map[n.toUpperCase()] = n.toUpperCase() + '5'; }
+  const scale = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  Array.from('hijklmnopqrstuvwxyz0123456789').forEach((ch, i) => {
+    const note = scale[i % 7] + (3 + Math.floor(i / 7) % 3);
+    map[ch] = note;
+    if (ch !== ch.toUpperCase()) map[ch.toUpperCase()] = note;
+  });
+  return map;
+})();
+
+// xterm default RGB values of the 16 basic ANSI colors (30-37 / 90-97 and 40-47 / 100-107)
+Notepad.ANSI_16 = [
+  { r: 0, g: 0, b: 0 }, { r: 205, g: 0, b: 0 }, { r: 0, g: 205, b: 0 }, { r: 205, g: 205, b: 0 },
+  { r: 0, g: 0, b: 238 }, { r: 205, g: 0, b: 205 }, { r: 0, g: 205, b: 205 }, { r: 229, g: 229, b: 229 },
+  { r: 127, g: 127, b: 127 }, { r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }, { r: 255, g: 255, b: 0 },
+  { r: 92, g: 92, b: 255 }, { r: 255, g: 0, b: 255 }, { r: 0, g: 255, b: 255 }, { r: 255, g: 255, b: 255 }
+];
+
+// Custom clipboard format: JSON { version: 1, items: [{ text, color, style? }] }
+Notepad.CLIPBOARD_MIME = 'application/x-notepad+json';
+
+// Keys accepted in a per-character style record
+Notepad.LETTER_STYLE_KEYS = ['textColor', 'fontWeight', 'fontStyle', 'underline', 'borderWidth', 'borderColor', 'borderRadius', 'opacity'];
+// Line format keys (style of a newline, see setLineFormat) and the alignments
+Notepad.LINE_STYLE_KEYS = ['align', 'background', 'spacing', 'indent'];
+Notepad.LINE_ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+// Defaults of the animate() effects
+Notepad.ANIMATION_DEFAULTS = {
+  typewriter: { speed: 20 },
+  fade: { duration: 400, stagger: 40, easing: 'easeOutCubic' },
+  colorCycle: { colors: null, speed: 4, smooth: false, easing: 'linear' },
+  wave: { amplitude: 4, period: 1200, wavelength: 10 },
+  bounce: { amplitude: 6, period: 600, stagger: 60, easing: 'easeOutQuad' },
+  pulse: { color: 'rgba(255,255,255,0.9)', width: 3, period: 900, stagger: 0, easing: 'easeInOutSine' }
+};
+
+// Easing functions for animate(): progress 0..1 -> 0..1. steps(n) builds a stepped one.
+Notepad.easing = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeOutBack: (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+  easeOutBounce: (t) => {
+    const n = 7.5625, d = 2.75;
+    if (t < 1 / d) return n * t * t;
+    if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+    if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+    return n * (t -= 2.625 / d) * t + 0.984375;
+  },
+  steps: (count) => (t) => Math.min(1, Math.floor(t * count) / count)
+};
+
+// Self-contained GIF89a encoder (no DOM): frames [{ data: RGBA bytes, delay: ms }] of width x height.
+// One global palette for all frames: the exact colors when there are few enough, median cut
+// otherwise, or a fixed opts.palette; pixels with alpha < 128 become the transparent color.
+// opts: { loop: 0 (forever) | n (plays n times) | false (once), colors: 256, palette: [css colors] }
+Notepad.gif = {
+  encode(frames, width, height, opts = {}) {
+    const G = Notepad.gif;
+    const { colors, transparent } = G.palette(frames.map(f => f.data), opts);
+    const offset = transparent ? 1 : 0; // index 0 is the transparent color
+    const bits = Math.max(1, Math.ceil(Math.log2(colors.length + offset)));
+    const tableSize = 1 << bits;
+    const minCodeSize = Math.max(2, bits);
+
+    const out = [];
+    const bytes = (...list) => out.push(Uint8Array.from(list));
+    const word = (v) => [v & 255, (v >> 8) & 255];
+    out.push(Uint8Array.from('GIF89a', ch => ch.charCodeAt(0)));
+    bytes(...word(width), ...word(height), 0xF0 | (bits - 1), 0, 0);
+    const table = new Uint8Array(tableSize * 3);
+    colors.forEach((c, k) => table.set(c, (k + offset) * 3));
+    out.push(table);
+    const loop = (typeof opts.loop === 'undefined') ? 0 : opts.loop;
+    if (loop !== false && loop !== 1) {
+      // NETSCAPE2.0 extension: number of repetitions after the first play (0 = forever)
+      out.push(Uint8Array.from('\x21\xFF\x0BNETSCAPE2.0\x03\x01', ch => ch.charCodeAt(0)));
+      bytes(...word(loop > 1 ? loop - 1 : 0), 0);
+    }
+    const cache = new Map();
+    for (const frame of frames) {
+      const delay = Math.max(2, Math.round((frame.delay || 0) / 10));
+      // graphic control: disposal 2 (restore to background) keeps transparent areas clean
+      bytes(0x21, 0xF9, 4, transparent ? (2 << 2) | 1 : (1 << 2), ...word(delay), 0, 0);
+      bytes(0x2C, 0, 0, 0, 0, ...word(width), ...word(height), 0);
+      bytes(minCodeSize);
+      const data = G.lzw(G.indexPixels(frame.data, colors, offset, cache), minCodeSize);
+      for (let i = 0; i < data.length; i += 255) {
+        const block = data.subarray(i, i + 255);
+        bytes(block.length);
+        out.push(block);
+      }
+      bytes(0);
+    }
+    bytes(0x3B);
+
+    const result = new Uint8Array(out.reduce((n, chunk) => n + chunk.length, 0));
+    let at = 0;
+    for (const chunk of out) { result.set(chunk, at); at += chunk.length; }
+    return result;
+  },
+
+  // { colors: [[r, g, b]], transparent } for a list of RGBA buffers
+  palette(buffers, opts = {}) {
+    let transparent = false;
+    if (opts.palette) {
+      const colors = opts.palette.map(c => Notepad.color.parse(c)).filter(Boolean).map(c => [c.r, c.g, c.b]);
+      if (!colors.length) throw new Error('La paleta del GIF no tiene colores válidos.');
+      for (const data of buffers) {
+        for (let p = 3; p < data.length && !transparent; p += 4) if (data[p] < 128) transparent = true;
+      }
+      return { colors: colors.slice(0, transparent ? 255 : 256), transparent };
+    }
+    // color histogram over a sample of at most ~250k pixels
+    const total = buffers.reduce((n, data) => n + data.length / 4, 0);
+    const stride = Math.max(1, Math.floor(total / 250000)) * 4;
+    const counts = new Map();
+    for (const data of buffers) {
+      for (let p = 0; p < data.length; p += stride) {
+        if (data[p + 3] < 128) { transparent = true; continue; }
+        const key = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    const room = Math.max(1, Math.min(256, opts.colors || 256) - (transparent ? 1 : 0));
+    if (!counts.size) return { colors: [[0, 0, 0]], transparent };
+    if (counts.size <= room) {
+      return { colors: Array.from(counts.keys(), key => [(key >> 16) & 255, (key >> 8) & 255, key & 255]), transparent };
+    }
+    return { colors: Notepad.gif.medianCut(counts, room), transparent };
+  },
+
+  // Split the color cube until there are n boxes (the most populated, widest box first);
+  // each box becomes its weighted mean color
+  medianCut(counts, n) {
+    const boxes = [Array.from(counts, ([key, count]) => [(key >> 16) & 255, (key >> 8) & 255, key & 255, count])];
+    const measure = (box) => {
+      const lo = [255, 255, 255], hi = [0, 0, 0];
+      let pixels = 0;
+      for (const c of box) {
+        for (let ch = 0; ch < 3; ch++) { lo[ch] = Math.min(lo[ch], c[ch]); hi[ch] = Math.max(hi[ch], c[ch]); }
+        pixels += c[3];
+      }
+      const ranges = hi.map((h, ch) => h - lo[ch]);
+      const channel = ranges.indexOf(Math.max(...ranges));
+      return { channel, score: box.length > 1 ? ranges[channel] * pixels : -1, pixels };
+    };
+    const info = [measure(boxes[0])];
+    while (boxes.length < n) {
+      let best = -1;
+      info.forEach((m, k) => { if (m.score > 0 && (best < 0 || m.score > info[best].score)) best = k; });
+      if (best < 0) break;
+      const box = boxes[best], ch = info[best].channel;
+      box.sort((a, b) => a[ch] - b[ch]);
+      let acc = 0, cut = 1;
+      for (; cut < box.length - 1; cut++) {
+        acc += box[cut - 1][3];
+        if (acc >= info[best].pixels / 2) break;
+      }
+      const parts = [box.slice(0, cut), box.slice(cut)];
+      boxes.splice(best, 1, ...parts);
+      info.splice(best, 1, ...parts.map(measure));
+    }
+    return boxes.map(box => {
+      const sum = [0, 0, 0];
+      let pixels = 0;
+      for (const c of box) { for (let ch = 0; ch < 3; ch++) sum[ch] += c[ch] * c[3]; pixels += c[3]; }
+      return sum.map(v => Math.round(v / pixels));
+    });
+  },
+
+  // RGBA -> palette indices (nearest color; offset: index of the first color, 0 is transparent)
+  indexPixels(data, colors, offset, cache = new Map()) {
+    const out = new Uint8Array(data.length / 4);
+    for (let p = 0, i = 0; p < data.length; p += 4, i++) {
+      if (offset && data[p + 3] < 128) { out[i] = 0; continue; }
+      const key = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+      let index = cache.get(key);
+      if (typeof index === 'undefined') {
+        let best = Infinity;
+        colors.forEach((c, k) => {
+          const d = (c[0] - data[p]) ** 2 + (c[1] - data[p + 1]) ** 2 + (c[2] - data[p + 2]) ** 2;
+          if (d < best) { best = d; index = k + offset; }
+        });
+        cache.set(key, index);
+      }
+      out[i] = index;
+    }
+    return out;
+  },
+
+  // GIF variable-length-code LZW (codes up to 12 bits, clear code when the table is full)
+  lzw(indices, minCodeSize) {
+    const clear = 1 << minCodeSize, eoi = clear + 1;
+    const out = [];
+    let codeSize = minCodeSize + 1, next = eoi + 1;
+    let table = new Map();
+    let acc = 0, accBits = 0;
+    const emit = (code) => {
+      acc |= code << accBits;
+      accBits += codeSize;
+      while (accBits >= 8) { out.push(acc & 255); acc >>>= 8; accBits -= 8; }
+    };
+    emit(clear);
+    if (!indices.length) { emit(eoi); if (accBits) out.push(acc & 255); return Uint8Array.from(out); }
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = table.get(key);
+      if (typeof code !== 'undefined') { prefix = code; continue; }
+      emit(prefix);
+      if (next === 4096) {
+        emit(clear);
+        table = new Map();
+        next = eoi + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (next >= (1 << codeSize)) codeSize++;
+        table.set(key, next++);
+      }
+      prefix = k;
+    }
+    emit(prefix);
+    emit(eoi);
+    if (accBits) out.push(acc & 255);
+    return Uint8Array.from(out);
+  }
+};
+
+// Store-only ZIP writer (PNG frames are compressed already): files [{ name, data: Uint8Array }]
+Notepad.zip = {
+  create(files) {
+    const enc = (s) => new TextEncoder().encode(s);
+    const entries = files.map(f => ({ name: enc(f.name), data: f.data, crc: Notepad.zip.crc32(f.data) }));
+    const localSize = entries.reduce((n, e) => n + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((n, e) => n + 46 + e.name.length, 0);
+    const buf = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(buf.buffer);
+    let at = 0;
+    // version 2.0, no flags, stored, 1980-01-01 00:00
+    const header = (e) => {
+      view.setUint16(at, 20, true); view.setUint16(at + 2, 0, true); view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, 0, true); view.setUint16(at + 8, 0x21, true);
+      view.setUint32(at + 10, e.crc, true); view.setUint32(at + 14, e.data.length, true); view.setUint32(at + 18, e.data.length, true);
+      view.setUint16(at + 22, e.name.length, true); view.setUint16(at + 24, 0, true);
+      at += 26;
+    };
+    for (const e of entries) {
+      e.offset = at;
+      view.setUint32(at, 0x04034b50, true); at += 4;
+      header(e);
+      buf.set(e.name, at); at += e.name.length;
+      buf.set(e.data, at); at += e.data.length;
+    }
+    const centralStart = at;
+    for (const e of entries) {
+      view.setUint32(at, 0x02014b50, true); view.setUint16(at + 4, 20, true); at += 6;
+      header(e);
+      // comment length, disk, internal / external attributes, local header offset
+      view.setUint16(at, 0, true); view.setUint16(at + 2, 0, true); view.setUint16(at + 4, 0, true);
+      view.setUint32(at + 6, 0, true); view.setUint32(at + 10, e.offset, true);
+      at += 14;
+      buf.set(e.name, at); at += e.name.length;
+    }
+    view.setUint32(at, 0x06054b50, true);
+    view.setUint16(at + 8, entries.length, true); view.setUint16(at + 10, entries.length, true);
+    view.setUint32(at + 12, at - centralStart, true); view.setUint32(at + 16, centralStart, true);
+    return buf;
+  },
+
+  crc32(data) {
+    let table = Notepad.zip._crcTable;
+    if (!table) {
+      table = Notepad.zip._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) crc = table[(crc ^ data[i]) & 255] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  _crcTable: null
+};
+
+// Transports for connect(): { send(message), onMessage(handler), close() }. Messages are plain
+// JSON-compatible objects; every peer receives the messages of the others.
+Notepad.sync = {
+  // Tabs / windows of the same origin that open a channel with the same name
+  broadcastChannel(name = 'notepad') {
+    const channel = new BroadcastChannel(name);
+    return {
+      send: (message) => channel.postMessage(message),
+      onMessage: (handler) => { channel.onmessage = (e) => handler(e.data); },
+      close: () => channel.close()
+    };
+  },
+
+  // A WebSocket, or any object like it (send(string), addEventListener('message' / 'open') or
+  // onmessage / onopen, readyState, close()). The server only relays each message to the other
+  // clients. Messages sent while the socket is still connecting are queued.
+  webSocket(socket) {
+    let handler = null;
+    const queue = [];
+    const receive = (e) => {
+      let message;
+      try { message = JSON.parse(typeof e === 'string' ? e : e.data); } catch (err) { return; }
+      if (handler) handler(message);
+    };
+    const open = () => { while (queue.length) socket.send(queue.shift()); };
+    if (typeof socket.addEventListener === 'function') {
+      socket.addEventListener('message', receive);
+      socket.addEventListener('open', open);
+    } else {
+      socket.onmessage = receive;
+      socket.onopen = open;
+    }
+    return {
+      send: (message) => {
+        const data = JSON.stringify(message);
+        if (socket.readyState === 0) queue.push(data);
+        else socket.send(data);
+      },
+      onMessage: (fn) => { handler = fn; },
+      close: () => {
+        handler = null;
+        if (typeof socket.removeEventListener === 'function') {
+          socket.removeEventListener('message', receive);
+          socket.removeEventListener('open', open);
+        }
+        try { socket.close(); } catch (e) { }
+      }
+    };
+  },
+
+  // In-memory hub for tests and single-page demos: each hub.transport() receives what the others
+  // send, asynchronously, in order and as JSON copies (like a real connection)
+  memoryHub() {
+    const members = new Set();
+    return {
+      transport() {
+        const member = { handler: null };
+        members.add(member);
+        return {
+          send: (message) => {
+            const data = JSON.stringify(message);
+            for (const m of members) {
+              if (m === member) continue;
+              Promise.resolve().then(() => { if (m.handler && members.has(m)) m.handler(JSON.parse(data)); });
+            }
+          },
+          onMessage: (handler) => { member.handler = handler; },
+          close: () => { members.delete(member); }
+        };
+      }
+    };
+  }
+};
+
 // export global
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Notepad;